@@ -0,0 +1,141 @@
+// Vercel API endpoint untuk menerapkan suggestion ke teks asli
+// POST /api/apply { version, text, format?, textFingerprint, suggestions, acceptedIds: [...] | "all", options? }
+// suggestions adalah array dari respons /api/check untuk teks yang sama; textFingerprint
+// harus cocok dengan text agar koreksi tidak diterapkan ke teks yang sudah berubah.
+// Untuk format html/markdown koreksi diterapkan ke markup asli; offset di respons mengacu ke markup.
+// Respons: { version, textFingerprint, originalFingerprint, text, changes, skipped }
+
+import { createTextFingerprint } from '../lib/fingerprint.js';
+import { CONFIG, validateRequest, applySuggestions } from '../lib/check-pipeline.js';
+import { extractReadableText, applyChangesToSource } from '../lib/markup.js';
+import { API_KEY_MODE } from '../lib/api-keys.js';
+import { consumeRateLimit, setRateLimitHeaders } from '../lib/rate-limit.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+const MAX_SUGGESTION_ID_LENGTH = 100;
+const MAX_SUGGESTION_TEXT_LENGTH = 200;
+
+export default createApiHandler(handleApply, { methods: ['POST'], metrics: 'apply', rateLimit: 'apply' });
+
+async function handleApply(req, res, client) {
+  try {
+    if (!client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: API_KEY_MODE === 'required'
+          ? 'A valid API key is required (header x-api-key)'
+          : 'Invalid or revoked API key'
+      });
+    }
+    
+    const rateLimitStatus = await consumeRateLimit('apply', client.id, client.rateLimit);
+    setRateLimitHeaders(res, rateLimitStatus);
+    if (!rateLimitStatus.allowed) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: 'Terlalu banyak permintaan. Silakan coba lagi nanti.'
+      });
+    }
+    
+    const requestData = req.body;
+    const validation = validateApplyRequest(requestData);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: validation.error
+      });
+    }
+    
+    // Fingerprint tidak cocok: teks sudah berubah sejak diperiksa, offset suggestion tidak bisa dipercaya
+    const { text, textFingerprint, suggestions, acceptedIds } = requestData;
+    if (createTextFingerprint(text) !== textFingerprint) {
+      return res.status(409).json({
+        error: 'Fingerprint mismatch',
+        message: 'textFingerprint tidak cocok dengan teks. Periksa ulang teks lewat /api/check.'
+      });
+    }
+    
+    const accepted = acceptedIds === 'all'
+      ? suggestions
+      : suggestions.filter(suggestion => acceptedIds.includes(suggestion.id));
+    const extraction = extractReadableText(text, requestData.format);
+    const plainResult = applySuggestions(extraction.text, accepted, { protectedSpanTypes: requestData.options?.protectedSpans });
+    const result = extraction.starts
+      ? applyChangesToSource(text, plainResult.changes, extraction)
+      : plainResult;
+    const skipped = extraction.starts ? [...plainResult.skipped, ...result.skipped] : result.skipped;
+    
+    logger.info('Suggestions applied', {
+      textFingerprint,
+      accepted: accepted.length,
+      changes: result.changes.length,
+      skipped: skipped.length
+    });
+    return res.status(200).json({
+      version: '1.0',
+      textFingerprint: createTextFingerprint(result.text),
+      originalFingerprint: textFingerprint,
+      text: result.text,
+      changes: result.changes,
+      skipped
+    });
+    
+  } catch (error) {
+    logger.error('Error in apply API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validate request data: text/version/options seperti /api/check, lalu suggestions & acceptedIds
+function validateApplyRequest(data) {
+  const base = validateRequest(data);
+  if (!base.isValid) {
+    return base;
+  }
+  
+  if (typeof data.textFingerprint !== 'string' || !/^[0-9a-f]{16}$/.test(data.textFingerprint)) {
+    return { isValid: false, error: 'textFingerprint must be the 16-character fingerprint returned by /api/check' };
+  }
+  
+  const { suggestions, acceptedIds } = data;
+  if (!Array.isArray(suggestions) || suggestions.length > CONFIG.MAX_SUGGESTIONS_LIMIT) {
+    return { isValid: false, error: `Suggestions must be an array of at most ${CONFIG.MAX_SUGGESTIONS_LIMIT} items` };
+  }
+  
+  const ids = new Set();
+  for (const [index, suggestion] of suggestions.entries()) {
+    const id = suggestion?.id;
+    if (typeof id !== 'string' || id.length === 0 || id.length > MAX_SUGGESTION_ID_LENGTH) {
+      return { isValid: false, error: `suggestions[${index}].id must be a non-empty string of at most ${MAX_SUGGESTION_ID_LENGTH} characters` };
+    }
+    if (ids.has(id)) {
+      return { isValid: false, error: `Duplicate suggestion id: ${id}` };
+    }
+    ids.add(id);
+    for (const field of ['before', 'after']) {
+      const value = suggestion[field];
+      const minLength = field === 'before' ? 1 : 0;
+      if (typeof value !== 'string' || value.length < minLength || value.length > MAX_SUGGESTION_TEXT_LENGTH) {
+        return { isValid: false, error: `suggestions[${index}].${field} must be a string of at most ${MAX_SUGGESTION_TEXT_LENGTH} characters` };
+      }
+    }
+  }
+  
+  if (acceptedIds !== 'all') {
+    if (!Array.isArray(acceptedIds) || acceptedIds.some(id => typeof id !== 'string')) {
+      return { isValid: false, error: 'acceptedIds must be an array of suggestion ids or "all"' };
+    }
+    const unknown = acceptedIds.filter(id => !ids.has(id));
+    if (unknown.length > 0) {
+      return { isValid: false, error: `Unknown suggestion ids: ${unknown.slice(0, 10).join(', ')}` };
+    }
+  }
+  
+  return { isValid: true };
+}
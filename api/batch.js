@@ -0,0 +1,207 @@
+// Vercel API endpoint untuk pemeriksaan banyak teks sekaligus
+// POST /api/batch { version, source?, format?, options?, items: [{ id, text, kompasContext? }] }
+// Setiap item divalidasi seperti /api/check dan diperiksa dengan konkurensi terbatas.
+// Item yang tidak valid atau gagal hanya menghasilkan error pada item itu (results[index]); respons tetap 200.
+// Rate limit & kuota: limit "batch" sendiri, satu slot per panggilan LLM (chunk) untuk item yang
+// tidak ada di cache. Batch yang butuh lebih banyak slot daripada limit client ditolak 400.
+
+import { getActiveProviders } from '../lib/llm.js';
+import {
+  validateRequest,
+  prepareCheckOptions,
+  runCachedCheck,
+  getCachedCheck,
+  countLLMCalls,
+  recordReturnedSuggestions,
+  mapWithConcurrency
+} from '../lib/check-pipeline.js';
+import { extractReadableText } from '../lib/markup.js';
+import { API_KEY_MODE, checkDailyQuota } from '../lib/api-keys.js';
+import { consumeRateLimit, setRateLimitHeaders } from '../lib/rate-limit.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+const BATCH_CONFIG = {
+  maxItems: 100,
+  maxTotalLength: 100000,
+  maxIdLength: 100,
+  concurrency: Number(process.env.BATCH_CONCURRENCY) || 3
+};
+
+export default createApiHandler(handleBatch, { methods: ['POST'], metrics: 'batch', rateLimit: 'batch' });
+
+async function handleBatch(req, res, client) {
+  try {
+    if (getActiveProviders().length === 0) {
+      logger.error('No LLM provider configured');
+      return res.status(500).json({
+        error: 'Service configuration error',
+        message: 'API key not configured'
+      });
+    }
+    
+    if (!client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: API_KEY_MODE === 'required'
+          ? 'A valid API key is required (header x-api-key)'
+          : 'Invalid or revoked API key'
+      });
+    }
+    
+    const batchData = req.body;
+    const validation = validateBatchRequest(batchData);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: validation.error
+      });
+    }
+    
+    // Validasi per item dengan aturan yang sama seperti /api/check
+    const seenIds = new Set();
+    const items = batchData.items.map(item => {
+      const itemValidation = validateBatchItem(item, seenIds);
+      if (!itemValidation.isValid) {
+        return { id: isValidItemId(item?.id) ? item.id : null, requestData: null, validation: itemValidation };
+      }
+      seenIds.add(item.id);
+      const requestData = {
+        version: batchData.version,
+        source: batchData.source,
+        format: batchData.format,
+        options: batchData.options,
+        text: item.text,
+        kompasContext: item.kompasContext
+      };
+      return { id: item.id, requestData, validation: validateRequest(requestData) };
+    });
+    const validItems = items.filter(item => item.validation.isValid);
+    
+    // Opsi sama untuk semua item, jadi cukup disiapkan sekali
+    const checkOptions = validItems.length > 0 ? await prepareCheckOptions(validItems[0].requestData) : null;
+    const bypassCache = batchData.options?.bypassCache === true;
+    
+    // Item yang sudah ada di cache tidak memanggil LLM dan tidak memakai slot
+    for (const item of validItems) {
+      const { text, kompasContext, format } = item.requestData;
+      item.cached = bypassCache ? null : await getCachedCheck(text, kompasContext, checkOptions, { format });
+      item.llmCalls = item.cached ? 0 : countLLMCalls(extractReadableText(text, format).text);
+    }
+    const llmCalls = validItems.reduce((sum, item) => sum + item.llmCalls, 0);
+    
+    // Batch yang tidak akan pernah muat di limit client ditolak, bukan 429 yang diulang terus
+    if (llmCalls > client.rateLimit.maxRequests) {
+      return res.status(400).json({
+        error: 'Batch exceeds rate limit',
+        message: `Batch membutuhkan ${llmCalls} panggilan LLM, maksimal ${client.rateLimit.maxRequests} per ${client.rateLimit.windowMs / 1000} detik. Kirim batch lebih kecil.`,
+        maxLlmCalls: client.rateLimit.maxRequests
+      });
+    }
+    
+    if (llmCalls > 0) {
+      const rateLimitStatus = await consumeRateLimit('batch', client.id, client.rateLimit, llmCalls);
+      setRateLimitHeaders(res, rateLimitStatus);
+      if (!rateLimitStatus.allowed) {
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: `Batch membutuhkan ${llmCalls} panggilan LLM, sisa limit ${rateLimitStatus.remaining}. Silakan coba lagi setelah ${rateLimitStatus.retryAfterSec} detik.`
+        });
+      }
+      if (client.apiKey && !(await checkDailyQuota(client.apiKey, llmCalls))) {
+        return res.status(429).json({
+          error: 'Daily quota exceeded',
+          message: 'Kuota harian API key tidak cukup untuk batch ini. Silakan coba lagi besok.'
+        });
+      }
+    }
+    
+    logger.info('Processing batch', { items: items.length, valid: validItems.length, llmCalls });
+    
+    const settled = await mapWithConcurrency(items, BATCH_CONFIG.concurrency, async (item, index) => {
+      if (!item.validation.isValid) {
+        return { index, id: item.id, status: 400, error: { error: 'Invalid request', message: item.validation.error } };
+      }
+      const { text, kompasContext, format } = item.requestData;
+      const response = item.cached || await runCachedCheck(text, kompasContext, checkOptions, { bypassCache: true, format });
+      recordReturnedSuggestions(response.suggestions);
+      return { index, id: item.id, status: 200, ...response };
+    });
+    
+    const results = settled.map((result, i) => {
+      if (result.status === 'fulfilled') return result.value;
+      logger.error('Batch item failed', { itemId: items[i].id, error: result.reason });
+      return {
+        index: i,
+        id: items[i].id,
+        status: 500,
+        error: { error: 'Internal server error', message: 'Terjadi kesalahan saat memproses item ini' }
+      };
+    });
+    
+    return res.status(200).json({
+      version: '1.0',
+      results,
+      meta: {
+        items: results.length,
+        succeeded: results.filter(result => result.status === 200).length,
+        failed: results.filter(result => result.status !== 200).length,
+        cacheHits: results.filter(result => result.meta?.cacheHit).length
+      }
+    });
+    
+  } catch (error) {
+    logger.error('Error in batch API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validasi amplop batch; item yang rusak tidak menggagalkan batch (lihat validateBatchItem)
+function validateBatchRequest(data) {
+  if (!data) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+  
+  if (!Array.isArray(data.items) || data.items.length === 0) {
+    return { isValid: false, error: 'Items must be a non-empty array' };
+  }
+  
+  if (data.items.length > BATCH_CONFIG.maxItems) {
+    return { isValid: false, error: `Too many items. Maximum ${BATCH_CONFIG.maxItems} per batch` };
+  }
+  
+  const totalLength = data.items.reduce((sum, item) => sum + (typeof item?.text === 'string' ? item.text.length : 0), 0);
+  
+  if (totalLength > BATCH_CONFIG.maxTotalLength) {
+    return { isValid: false, error: `Batch too large. Maximum ${BATCH_CONFIG.maxTotalLength} characters in total` };
+  }
+  
+  if (data.incremental !== undefined) {
+    return { isValid: false, error: 'Incremental mode is not supported for batch requests' };
+  }
+  
+  return { isValid: true };
+}
+
+// Validasi bentuk satu item (object dengan id unik); teksnya divalidasi dengan validateRequest
+function validateBatchItem(item, seenIds) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return { isValid: false, error: 'Item must be an object with id and text' };
+  }
+  if (!isValidItemId(item.id)) {
+    return { isValid: false, error: `Item needs an id (integer or string of at most ${BATCH_CONFIG.maxIdLength} characters)` };
+  }
+  if (seenIds.has(item.id)) {
+    return { isValid: false, error: `Duplicate item id: ${item.id}` };
+  }
+  return { isValid: true };
+}
+
+function isValidItemId(id) {
+  return (typeof id === 'string' && id.length > 0 && id.length <= BATCH_CONFIG.maxIdLength) || Number.isInteger(id);
+}
@@ -1,163 +1,55 @@
 // Vercel API endpoint untuk Periksa Kata
-// Proxy ke NVIDIA Gemma-3-27b-it dengan rate limiting dan validation
-
-import { createHash } from 'crypto';
-
-// Rate limiting storage (in-memory untuk demo, gunakan Redis untuk production)
-const rateLimitStore = new Map();
-
-// Configuration
-const CONFIG = {
-  NVIDIA_API_KEY: process.env.NVIDIA_API_KEY,
-  NVIDIA_MODEL: 'google/gemma-3-27b-it',
-  // Upstash / Vercel KV REST (gunakan token write)
-  KV_REST_API_URL: process.env.KV_REST_API_URL,
-  KV_REST_API_TOKEN: process.env.KV_REST_API_TOKEN,
-  RATE_LIMIT: {
-    maxRequests: 10,
-    windowMs: 60000 // 1 menit
-  },
-  MAX_TEXT_LENGTH: 20000,
-  ALLOWED_ORIGINS: [
-    'chrome-extension://',
-    'moz-extension://',
-    'localhost',
-    '127.0.0.1'
-  ]
-};
-
-// LLM System Prompt
-const SYSTEM_PROMPT = `Kamu adalah pemeriksa bahasa Indonesia yang ahli. Tugas kamu adalah mendeteksi dan memperbaiki kesalahan dalam teks bahasa Indonesia dengan fokus pada 4 kategori utama:
-
-1. **TYPO/SALAH KETIK**: Kesalahan pengetikan seperti huruf hilang, tambahan, atau salah posisi
-   - Contoh: "mkn" → "makan", "slh" → "salah", "tdk" → "tidak", "enk" → "enak"
-   - Termasuk singkatan tidak standar yang seharusnya ditulis lengkap
-   - Prioritaskan kata yang kehilangan huruf vokal atau konsonan penting
-   - PENTING: Dalam kalimat "Sya mkn beberapa ayam yang enk sekali" harus mendeteksi 3 kesalahan: "Sya", "mkn", dan "enk"
-
-2. **KATA TIDAK BAKU**: Kata yang tidak sesuai dengan Kamus Besar Bahasa Indonesia (KBBI)
-   - Contoh: "ijin" → "izin", "resiko" → "risiko", "aktifitas" → "aktivitas"
-   - Kata serapan yang salah ejaan: "system" → "sistem", "methode" → "metode"
-
-3. **KESALAHAN EYD/PUEBI**: Kesalahan penulisan sesuai Ejaan Yang Disempurnakan
-   - Penulisan kata depan: "kepasar" → "ke pasar", "dirumah" → "di rumah"
-   - Penulisan awalan: "di ambil" → "diambil", "ter buka" → "terbuka"
-   - Penulisan partikel: "apa kah" → "apakah", "bagai mana" → "bagaimana"
-
-4. **KESALAHAN KONTEKS**: Kata benar ejaan tapi salah makna dalam kalimat
-   - Contoh: "makan dubur ayam" → "makan bubur ayam"
-   - Homonim dan kata mirip yang salah konteks
-
-PERINTAH KHUSUS:
-- Periksa SETIAP kata dalam teks, jangan lewatkan kesalahan yang mencolok
-- Scan SELURUH kalimat: Jangan berhenti setelah menemukan beberapa kesalahan, lanjutkan sampai akhir
-- Berikan confidence tinggi (0.8-0.95) untuk kesalahan yang jelas
-- Offsets: start = index karakter awal, end = index karakter setelah akhir (exclusive)
-- Kategori: "typo", "baku", "eyd", "konteks"
-- Severity: "low", "medium", "high"
-
-PENTING - PENANGANAN KATA BERULANG:
-- Periksa SETIAP kata dalam teks dari awal hingga akhir
-- Jika kata yang SAMA (misal 'makn') muncul BEBERAPA KALI di teks, kembalikan HANYA 1 suggestion dengan before='makn' dan after='makan'
-- JANGAN calculate posisi (start/end) dari kata tersebut - Client akan mencari posisi secara otomatis
-- JANGAN return multiple suggestions untuk kata yang identik sama
-- Contoh: jika 'makn' ada 5x, return 1x saja: {before:'makn', after:'makan'}
-
-- BATASI JUMLAH: Maksimal 30 saran UNIK per respons untuk menghindari JSON terpotong
-- JANGAN koreksi huruf kapital pada awal kalimat
-- Jika kata yang salah menggunakan huruf kapital di awal, maka kata yang disarankan juga harus memakai huruf kapital di awal 
-- JANGAN mengubah kapitalisasi kata umum di tengah kalimat; pertahankan huruf kecil kecuali (a) awal kalimat, (b) nama diri/lembaga/tempat, (c) akronim/brand, atau (d) aturan ejaan khusus yang eksplisit.
-- JANGAN mengubah kapitalisasi nama orang/tempat/lembaga, akronim/brand, dan format tanggal yang benar
-- JANGAN mengoreksi teks dengan format "NAMA KOTA, KOMPAS" seperti "JAKARTA, KOMPAS", "YOGYAKARTA, KOMPAS", "BANDUNG, KOMPAS"
-- Untuk variasi byline di AWAL paragraf/kalimat: biarkan persis apa adanya, termasuk tanda baca setelahnya (koma, em dash/dash, titik dua, atau koma lanjutan)
-- Contoh yang BENAR (JANGAN dikoreksi): "YOGYAKARTA, KOMPAS —", "JAKARTA, KOMPAS:", "Bandung, KOMPAS,"
-- Jangan usulkan perubahan pada kata "KOMPAS" (brand) atau nama kota di pola tersebut, termasuk kapitalisasi
-- JANGAN mengoreksi kredit foto/atribusi media dengan pola "KOMPAS/NAMA" (contoh: "KOMPAS/PRIYOMBODO", "KOMPAS/RIZA FATHONI", termasuk variasi kapitalisasi). Biarkan persis, jangan ubah kapitalisasi, spasi, atau tanda "/".
-- Jangan menambahkan spasi di sekitar "/" pada kredit foto (contoh: jangan ubah "KOMPAS/RIZA FATHONI" menjadi "KOMPAS / RIZA FATHONI").
-- DILARANG mengeluarkan saran yang nilai 'after' identik dengan 'before'. Jika tidak ada perubahan nyata, ABAIKAN saran tersebut
-- Jika tidak ada kesalahan nyata, kembalikan JSON dengan "suggestions": []
-- JANGAN mengoreksi tidak adanya spasi antar kata
-- HANYA kembalikan saran jika nilai 'before' benar-benar muncul persis (exact substring, case sensitive) di dalam teks segmen yang diberikan. Jika tidak ada, JANGAN keluarkan saran tersebut
-- JANGAN koreksi substring di dalam kata lain; hanya koreksi jika "before" adalah kata utuh (dikelilingi spasi/tanda baca atau di awal/akhir teks). Contoh: JANGAN koreksi "sya" dalam "masyarakat".
-FORMAT OUTPUT JSON:
-{
-  "suggestions": [
-    {
-      "category": "typo",
-      "severity": "high",
-      "message": "Kata 'mkn' seharusnya 'makan'",
-      "before": "mkn",
-      "after": "makan"
-    }
-  ]
-}
-
-- Jangan menulis penjelasan di luar JSON
-- WAJIB gunakan format JSON di atas dengan field: category, severity, message, before, after
-- TIDAK PERLU field: start, end (client akan mencari posisi otomatis)
-
-**REFERENSI KATA BAKU KOMPAS**:
-List berikut HANYA sebagai referensi. JANGAN generate saran untuk kata yang tidak ada di teks.
-
-Kata tidak baku yang umum (koreksi HANYA jika ditemukan di teks):
-ijin→izin, aktifitas→aktivitas, resiko→risiko, analisa→analisis, apotik→apotek, nasehat→nasihat, praktek→praktik, propinsi→provinsi, obyek→objek, subyek→subjek, kwalitas→kualitas, kwantitas→kuantitas, methode→metode, tehnik→teknik, tekhnik→teknik, standart→standar, jaman→zaman, karir→karier, detil→detail, cabe→cabai, konkrit→konkret, komplek→kompleks
-
-CARA GUNAKAN REFERENSI:
-1. Baca teks yang diberikan dengan teliti
-2. HANYA jika kata di atas ditemukan di teks, berikan saran koreksi
-3. JANGAN generate saran untuk kata yang tidak ada di teks
-4. List ini bukan checklist - jangan paksa mencari kata-kata ini
-
-**REFERENSI NAMA NEGARA KOMPAS**:
-List berikut HANYA sebagai referensi. JANGAN generate saran untuk nama negara yang tidak ada di teks.
-
-Nama negara yang sering salah (koreksi HANYA jika ditemukan di teks):
-Cina→China, Tiongkok→China, Prancis→Perancis, Hongkong→Hong Kong, Islandia→Eslandia, Gana→Ghana, Libia→Libya, Rumania→Romania, Afganistan→Afghanistan, Butan→Bhutan, Jibuti→Djibouti, Yordania→Jordania
-
-CARA GUNAKAN REFERENSI:
-1. HANYA jika nama negara di atas ditemukan di teks, berikan saran koreksi
-2. JANGAN generate saran untuk nama negara yang tidak ada di teks
-3. List ini bukan checklist - jangan paksa mencari nama negara ini`
-export default async function handler(req, res) {
-  // Handle CORS preflight
-  if (req.method === 'OPTIONS') {
-    return res.status(200).json({ ok: true });
-  }
-  
-  // Only allow POST
-  if (req.method !== 'POST') {
-    return res.status(405).json({ 
-      error: 'Method not allowed',
-      message: 'Only POST method is supported'
-    });
-  }
+// Proxy ke NVIDIA Gemma-3-27b-it (dengan fallback provider lain) dengan rate limiting dan validation
+// Pipeline pemeriksaan ada di lib/check-pipeline.js
+
+import { createTextFingerprint } from '../lib/fingerprint.js';
+import { getActiveProviders } from '../lib/llm.js';
+import {
+  validateRequest,
+  prepareCheckOptions,
+  buildCacheKey,
+  getCachedResponse,
+  setCachedResult,
+  planIncrementalCheck,
+  runIncrementalCheck,
+  runCheckPipeline,
+  countLLMCalls,
+  TooManyParagraphsError,
+  mapResponseToSource,
+  recordReturnedSuggestions
+} from '../lib/check-pipeline.js';
+import { extractReadableText, mapToSource } from '../lib/markup.js';
+import { API_KEY_MODE, checkDailyQuota } from '../lib/api-keys.js';
+import { consumeRateLimit, setRateLimitHeaders } from '../lib/rate-limit.js';
+import { logger, describeText } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+export default createApiHandler(handleCheck, { methods: ['POST'], metrics: 'check', rateLimit: 'check' });
+
+async function handleCheck(req, res, client) {
+  // Mode streaming (SSE): ?stream=1 atau header Accept: text/event-stream
+  const stream = wantsEventStream(req);
   
   try {
-    // Validate API key
-    if (!CONFIG.NVIDIA_API_KEY) {
-      console.error('NVIDIA API key not configured');
+    // Validate API key (minimal satu provider LLM harus terkonfigurasi)
+    if (getActiveProviders().length === 0) {
+      logger.error('No LLM provider configured');
       return res.status(500).json({
         error: 'Service configuration error',
         message: 'API key not configured'
       });
     }
     
-    // Rate limiting
-    const clientId = getClientId(req);
-    if (!(await checkRateLimit(clientId))) {
-      return res.status(429).json({
-        error: 'Rate limit exceeded',
-        message: 'Terlalu banyak permintaan. Silakan coba lagi nanti.'
+    // API key: key tidak valid selalu ditolak, tanpa key tergantung API_KEY_MODE
+    if (!client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: API_KEY_MODE === 'required'
+          ? 'A valid API key is required (header x-api-key)'
+          : 'Invalid or revoked API key'
       });
     }
     
-    // Validate origin (optional)
-    const origin = req.headers.origin || req.headers.referer || '';
-    if (!isAllowedOrigin(origin)) {
-      console.warn('Request from unauthorized origin:', origin);
-      // Don't block for now, just log
-    }
-    
     // Parse and validate request
     const requestData = req.body;
     const validation = validateRequest(requestData);
@@ -168,58 +60,116 @@ export default async function handler(req, res) {
       });
     }
     
-    const { text, kompasContext } = requestData;
+    const { kompasContext } = requestData;
+    const checkOptions = await prepareCheckOptions(requestData);
+    
+    // Format html/markdown: yang diperiksa teks hasil ekstraksi, offset dipetakan kembali ke source
+    const extraction = extractReadableText(requestData.text, requestData.format);
+    const { text } = extraction;
+    
+    // Create text fingerprint (dari teks yang dikirim client, dipakai lagi oleh /api/apply)
+    const textFingerprint = createTextFingerprint(requestData.text);
+    
+    // Cache lookup: hasil yang sama tidak memakai panggilan NVIDIA maupun slot rate limit
+    const bypassCache = requestData.options?.bypassCache === true;
+    const cacheKey = buildCacheKey(createTextFingerprint(text), kompasContext, checkOptions);
+    // Mode incremental memakai cache per paragraf, bukan cache teks penuh
+    const incremental = requestData.incremental
+      ? await planIncrementalCheck(text, kompasContext, checkOptions, requestData.incremental, { bypassCache })
+      : null;
+    if (!bypassCache && !incremental) {
+      const cached = await getCachedResponse(textFingerprint, cacheKey, checkOptions);
+      if (cached) {
+        const response = mapResponseToSource(cached, extraction);
+        recordReturnedSuggestions(response.suggestions);
+        if (stream) {
+          startEventStream(res, textFingerprint);
+          response.suggestions.forEach(suggestion => writeSSE(res, 'suggestion', suggestion));
+          return endEventStream(res, response);
+        }
+        return res.status(200).json(response);
+      }
+    }
     
-    // Create text fingerprint
-    const textFingerprint = createTextFingerprint(text);
+    // Rate limiting & kuota harian: satu slot per panggilan LLM (chunk), dibatasi limit client
+    // agar teks panjang tetap bisa diperiksa. Incremental tanpa paragraf berubah tidak memakai slot.
+    const llmCalls = Math.min(incremental ? incremental.llmCalls : countLLMCalls(text), client.rateLimit.maxRequests);
+    const needsLLM = llmCalls > 0;
+    if (needsLLM) {
+      const rateLimitStatus = await consumeRateLimit('check', client.id, client.rateLimit, llmCalls);
+      setRateLimitHeaders(res, rateLimitStatus);
+      if (!rateLimitStatus.allowed) {
+        return res.status(429).json({
+          error: 'Rate limit exceeded',
+          message: 'Terlalu banyak permintaan. Silakan coba lagi nanti.'
+        });
+      }
+    }
+    if (needsLLM && client.apiKey && !(await checkDailyQuota(client.apiKey, llmCalls))) {
+      res.setHeader('Retry-After', String(secondsUntilNextUTCDay()));
+      return res.status(429).json({
+        error: 'Daily quota exceeded',
+        message: 'Kuota harian API key sudah habis. Silakan coba lagi besok.'
+      });
+    }
     
-    // Call NVIDIA API
-    console.log('Calling NVIDIA API with text:', text.substring(0, 100) + '...');
-    console.log('Text length:', text.length, 'characters');
-    if (kompasContext && kompasContext.length > 0) {
-      console.log('Kompas context:', kompasContext.length, 'issues');
+    // Call LLM provider
+    logger.info('Calling LLM provider', {
+      ...describeText(text),
+      kompasContextCount: kompasContext?.length || 0,
+      text
+    });
+    
+    if (stream) {
+      startEventStream(res, textFingerprint);
     }
     
-    let didCallLLM = false;
-    let skippedReason = null;
-    let suggestions = [];
+    // Saat streaming, setiap suggestion dikirim begitu lolos validasi
+    const onSuggestion = stream ? suggestion => writeSSE(res, 'suggestion', mapToSource(suggestion, extraction)) : null;
+    const result = incremental
+      ? await runIncrementalCheck(text, kompasContext, checkOptions, incremental, { onSuggestion })
+      : await runCheckPipeline(text, kompasContext, checkOptions, { onSuggestion });
     
-    try {
-      didCallLLM = true;
-      suggestions = await checkTextWithOpenAI(text, kompasContext);
-      console.log('NVIDIA API returned suggestions:', suggestions.length);
-
-      if (suggestions.length === 0) {
-        console.log('NVIDIA returned empty suggestions for text:', JSON.stringify(text));
-      } else {
-        console.log('NVIDIA suggestions:', JSON.stringify(suggestions, null, 2));
-      }
-    } catch (error) {
-      console.error('NVIDIA API call failed:', error);
-      didCallLLM = false;
-      skippedReason = 'api_error';
-      suggestions = [];
+    // Simpan ke cache hanya jika semua panggilan LLM berhasil (offset teks hasil ekstraksi)
+    if (result.cacheable && !incremental) {
+      await setCachedResult(cacheKey, { suggestions: result.allSuggestions, meta: result.meta });
     }
     
     // Return response with meta debug info
-    const response = {
+    const response = mapResponseToSource({
       version: '1.0',
       textFingerprint,
-      suggestions,
-      meta: {
-        llmCalled: didCallLLM,
-        skippedReason,
-        modelUsed: CONFIG.NVIDIA_MODEL,
-        textLength: text.length,
-        suggestionsCount: suggestions.length
-      }
-    };
+      suggestions: result.suggestions,
+      meta: result.meta,
+      ...(result.paragraphs ? { paragraphs: result.paragraphs } : {})
+    }, extraction);
+    recordReturnedSuggestions(response.suggestions);
     
-    console.log('Sending response:', JSON.stringify(response, null, 2));
+    if (stream) {
+      return endEventStream(res, response);
+    }
+    
+    logger.debug('Sending response', { textFingerprint, suggestionsCount: response.suggestions.length, response });
     return res.status(200).json(response);
     
   } catch (error) {
-    console.error('Error in check API:', error);
+    if (error instanceof TooManyParagraphsError) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: error.message
+      });
+    }
+    
+    logger.error('Error in check API', { error });
+    
+    // Stream sudah berjalan: kirim event error lalu tutup
+    if (stream && res.headersSent) {
+      writeSSE(res, 'error', {
+        error: 'Internal server error',
+        message: 'Terjadi kesalahan saat memproses permintaan'
+      });
+      return res.end();
+    }
     
     // Don't expose internal errors
     return res.status(500).json({
@@ -229,517 +179,43 @@ export default async function handler(req, res) {
   }
 }
 
-// Rate limiting check (delegator)
-async function checkRateLimit(clientId) {
-  // Jika konfigurasi Upstash tersedia, gunakan Upstash terlebih dahulu
-  if (CONFIG.KV_REST_API_URL && CONFIG.KV_REST_API_TOKEN) {
-    try {
-      return await checkRateLimitUpstash(clientId);
-    } catch (err) {
-      console.warn('Rate limit via Upstash gagal, fallback ke in-memory:', err?.message || err);
-      // lanjut fallback
-    }
-  }
-  // Fallback ke in-memory agar tidak mengganggu fungsi lain
-  return checkRateLimitInMemory(clientId);
-}
-
-// Implementasi rate limit via Upstash Redis REST (fixed window + TTL)
-async function checkRateLimitUpstash(clientId) {
-  const ttlSec = Math.ceil(CONFIG.RATE_LIMIT.windowMs / 1000);
-  const key = `periksakata:rl:${clientId}`;
-
-  const url = `${CONFIG.KV_REST_API_URL.replace(/\/$/, '')}/pipeline`;
-  const commands = [
-    ["INCR", key],
-    ["EXPIRE", key, ttlSec, "NX"] // set expiry hanya jika belum ada
-  ];
-
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${CONFIG.KV_REST_API_TOKEN}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify(commands)
-  });
-
-  if (!resp.ok) {
-    const text = await resp.text().catch(() => '');
-    throw new Error(`Upstash REST error: ${resp.status} ${text}`);
-  }
-
-  const results = await resp.json();
-  // results contoh: [{result: 1}, {result: 1}]
-  const incr = Number(results?.[0]?.result ?? 0);
-  if (!Number.isFinite(incr)) {
-    throw new Error('Invalid INCR result from Upstash');
-  }
-  return incr <= CONFIG.RATE_LIMIT.maxRequests;
-}
-
-// Rate limiting check - in-memory (fallback)
-function checkRateLimitInMemory(clientId) {
-  const now = Date.now();
-  const requests = rateLimitStore.get(clientId) || [];
-  
-  // Remove old requests
-  const validRequests = requests.filter(time => now - time < CONFIG.RATE_LIMIT.windowMs);
-  
-  if (validRequests.length >= CONFIG.RATE_LIMIT.maxRequests) {
-    return false;
-  }
-  
-  validRequests.push(now);
-  rateLimitStore.set(clientId, validRequests);
-  
-  return true;
-}
-
-// Get client identifier
-function getClientId(req) {
-  // Use IP address as client identifier
-  const forwarded = req.headers['x-forwarded-for'];
-  const ip = forwarded ? forwarded.split(',')[0] : req.connection.remoteAddress;
-  return ip || 'unknown';
-}
-
-// Check if origin is allowed
-function isAllowedOrigin(origin) {
-  if (!origin) return true; // Allow requests without origin
-  
-  return CONFIG.ALLOWED_ORIGINS.some(allowed => {
-    if (allowed.endsWith('://')) {
-      return origin.startsWith(allowed);
-    }
-    return origin.includes(allowed);
-  });
-}
-
-// Validate request data
-function validateRequest(data) {
-  if (!data) {
-    return { isValid: false, error: 'Request body is required' };
-  }
-  
-  if (!data.text || typeof data.text !== 'string') {
-    return { isValid: false, error: 'Text field is required and must be a string' };
-  }
-  
-  if (data.text.length === 0) {
-    return { isValid: false, error: 'Text cannot be empty' };
-  }
-  
-  if (data.text.length > CONFIG.MAX_TEXT_LENGTH) {
-    return { 
-      isValid: false, 
-      error: `Text too long. Maximum ${CONFIG.MAX_TEXT_LENGTH} characters allowed` 
-    };
-  }
-  
-  // Validate version
-  if (data.version && data.version !== '1.0') {
-    return { isValid: false, error: 'Unsupported API version' };
-  }
-  
-  return { isValid: true };
-}
-
-// Create text fingerprint
-function createTextFingerprint(text) {
-  return createHash('sha256').update(text, 'utf8').digest('hex').substring(0, 16);
-}
-
-// Utility: cari kemunculan "needle" paling dekat dengan approxIndex (jika disediakan)
-function findNearestIndex(haystack, needle, approxIndex) {
-  if (!needle || needle.length === 0) return -1;
-  const occurrences = [];
-  let from = 0;
-  while (true) {
-    const idx = haystack.indexOf(needle, from);
-    if (idx === -1) break;
-    occurrences.push(idx);
-    from = idx + 1;
-  }
-  if (occurrences.length === 0) return -1;
-  if (approxIndex == null || Number.isNaN(approxIndex)) return occurrences[0];
-  let best = occurrences[0];
-  let bestDist = Math.abs(best - approxIndex);
-  for (let i = 1; i < occurrences.length; i++) {
-    const d = Math.abs(occurrences[i] - approxIndex);
-    if (d < bestDist) {
-      best = occurrences[i];
-      bestDist = d;
-    }
-  }
-  return best;
+// Apakah client meminta respons Server-Sent Events
+function wantsEventStream(req) {
+  const streamParam = req.query?.stream;
+  if (streamParam === '1' || streamParam === 'true') return true;
+  return String(req.headers?.accept || '').includes('text/event-stream');
 }
 
-// Utility: case-insensitive search dengan pengembalian indeks akurat di haystack asli
-function findNearestIndexCI(haystack, needle, approxIndex) {
-  const hayLower = haystack.toLowerCase();
-  const needLower = (needle || '').toLowerCase();
-  if (!needLower) return -1;
-  const occurrences = [];
-  let from = 0;
-  while (true) {
-    const idx = hayLower.indexOf(needLower, from);
-    if (idx === -1) break;
-    occurrences.push(idx);
-    from = idx + 1;
-  }
-  if (occurrences.length === 0) return -1;
-  if (approxIndex == null || Number.isNaN(approxIndex)) return occurrences[0];
-  let best = occurrences[0];
-  let bestDist = Math.abs(best - approxIndex);
-  for (let i = 1; i < occurrences.length; i++) {
-    const d = Math.abs(occurrences[i] - approxIndex);
-    if (d < bestDist) {
-      best = occurrences[i];
-      bestDist = d;
-    }
-  }
-  return best;
+// Kirim header SSE dan event pembuka
+function startEventStream(res, textFingerprint) {
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream; charset=utf-8');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  res.setHeader('X-Accel-Buffering', 'no');
+  if (typeof res.flushHeaders === 'function') res.flushHeaders();
+  writeSSE(res, 'start', { version: '1.0', textFingerprint });
 }
 
-// Call NVIDIA API
-async function checkTextWithOpenAI(text, kompasContext = []) {
-  // Build system prompt with Kompas context injection
-  let systemPrompt = SYSTEM_PROMPT;
-  
-  if (kompasContext && kompasContext.length > 0) {
-    systemPrompt += `\n\n⚠️ PENTING - Aturan Gaya Kompas (SUDAH DIKOREKSI):\nKata-kata berikut SUDAH diperbaiki sesuai style guide Kompas. JANGAN koreksi ulang:\n`;
-    kompasContext.forEach(issue => {
-      systemPrompt += `- "${issue.word}" → "${issue.correction}" (${issue.message})\n`;
-    });
-    systemPrompt += `\nFokus HANYA pada kesalahan LAIN yang belum tercakup di atas.`;
-  }
-  
-  const userPrompt = `Periksa teks berikut dan temukan SEMUA kesalahan ejaan, typo, EYD, dan konteks:
-
-"${text}"
-
-Cari dengan teliti:
-✓ Typo/singkatan: huruf hilang, singkatan tidak standar
-✓ Kata tidak baku: kata yang tidak ada di KBBI
-✓ EYD: penulisan kata depan, awalan, akhiran
-✓ Konteks: kata benar ejaan tapi salah makna
-
-ATURAN PENTING:
-- MAKSIMAL 30 saran untuk menghindari respons terpotong
-- Prioritaskan kesalahan yang paling mencolok
-- JANGAN koreksi huruf kapital pada awal kalimat
-- JANGAN mengubah kapitalisasi nama orang/tempat/lembaga, akronim/brand, dan format tanggal yang benar
-- JANGAN mengoreksi format byline "NAMA KOTA, KOMPAS" di awal paragraf/kalimat (contoh: "YOGYAKARTA, KOMPAS —", "JAKARTA, KOMPAS:", "Bandung, KOMPAS,")
-- JANGAN menyentuh kredit foto "KOMPAS/NAMA" dan jangan menambah spasi di sekitar "/".
-- DILARANG mengeluarkan saran yang nilai 'after' identik dengan 'before' (jika tidak ada perubahan nyata, abaikan)
-- HANYA kembalikan saran jika nilai 'before' benar-benar muncul persis (exact substring, case sensitive) di dalam teks segmen yang diberikan. Jika tidak ada, JANGAN keluarkan saran tersebut
-
-PENTING - FORMAT SARAN:
-- Field 'before' HARUS kata/frasa yang persis muncul di teks (CASE SENSITIVE satu contoh)
-- Pertahankan kapitalisasi dari salah satu contoh di teks: jika ada 'Sya' dan 'sya', pilih salah satu (misal 'Sya')
-- Jangan sertakan spasi di awal/akhir kecuali memang bagian dari kesalahan
-- TIDAK PERLU calculate posisi (start/end) - client akan mencari otomatis
-- Fokus pada identifikasi kata yang salah dan koreksinya
-
-Contoh untuk "Ini adalah demnstrasi yang demnstrasi sekali":
-- before: "demnstrasi" (kata yang salah, muncul 2x)
-- after: "demonstrasi"
-- Return HANYA 1 suggestion (client akan find 2 positions)
-
-Contoh untuk "Sya mkn ayam. sya juga mkn nasi":
-- Suggestion 1: before: "Sya", after: "Saya" (ambil case dari salah satu kemunculan)
-- Suggestion 2: before: "mkn", after: "makan" (muncul 2x, return 1x saja)
-
-Contoh untuk "Makanan ini enk sekali. Rasanya enk":
-- before: "enk" (kata singkatan, muncul 2x)
-- after: "enak"
-- Return HANYA 1 suggestion
-
-Kembalikan JSON dengan format yang tepat, fokus pada unique errors.`
-  
-  const response = await fetch('https://integrate.api.nvidia.com/v1/chat/completions', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Bearer ${CONFIG.NVIDIA_API_KEY}`,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      model: CONFIG.NVIDIA_MODEL,
-      messages: [
-        {
-          role: 'system',
-          content: systemPrompt
-        },
-        {
-          role: 'user',
-          content: userPrompt
-        }
-      ],
-      temperature: 0.1,
-      max_tokens: 3500,
-      chat_template_kwargs: { enable_thinking: false }
-    })
-  });
-  
-  if (!response.ok) {
-    const errorData = await response.text();
-    console.error('NVIDIA API error:', response.status, errorData);
-    throw new Error(`NVIDIA API error: ${response.status}`);
-  }
-
-  const data = await response.json();
-
-  if (!data.choices || data.choices.length === 0) {
-    throw new Error('No response from NVIDIA API');
-  }
-  
-  const content = data.choices[0].message.content;
-  
-  // Parse with repair and strict-retry fallback
-  let parsed;
-  try {
-    parsed = tryParseJSONWithRepair(content);
-  } catch (parseErr) {
-    console.warn('Primary JSON parse failed, attempting strict retry...', parseErr?.message || parseErr);
-    const retryRaw = await strictRetryJSON(text);
-    if (!retryRaw) {
-      console.error('Strict retry returned empty content');
-      return [];
-    }
-    try {
-      parsed = tryParseJSONWithRepair(retryRaw);
-    } catch (retryErr) {
-      console.error('Strict retry JSON parse failed:', retryErr?.message || retryErr);
-      console.error('Raw content (primary):', content);
-      console.error('Raw content (retry):', retryRaw);
-      return [];
-    }
-  }
-
-  // Validate and process suggestions
-  let suggestions = Array.isArray(parsed?.suggestions) ? parsed.suggestions : [];
-  
-  // Deduplication: remove duplicate suggestions (same before + after)
-  suggestions = deduplicateSuggestions(suggestions);
-  console.log('[info] Suggestions after dedup:', suggestions.length);
-  
-  const processedSuggestions = [];
-
-  for (let i = 0; i < suggestions.length; i++) {
-    const suggestion = suggestions[i];
-    
-    // Cek struktur minimum (tanpa position)
-    if (!basicSuggestionShapeValidNoPosition(suggestion)) {
-      console.warn('Missing required field(s) on suggestion:', suggestion);
-      continue;
-    }
-
-    // Validasi kategori/severity
-    if (!['typo', 'baku', 'eyd', 'konteks'].includes(suggestion.category)) {
-      console.warn('Invalid category:', suggestion.category);
-      continue;
-    }
-    if (suggestion.severity && !['low', 'medium', 'high'].includes(suggestion.severity)) {
-      console.warn('Invalid severity:', suggestion.severity);
-      continue;
-    }
-
-    const { before, after } = suggestion;
-    
-    // Validate before exists in text (at least once)
-    if (!text.includes(before)) {
-      console.warn('Before text not found in original text:', before);
-      continue;
-    }
-
-    // Sanitasi field string
-    const sanitizedMessage = sanitizeString(String(suggestion.message), 200);
-    let afterVal = typeof after === 'string' ? after : String(after ?? '');
-    afterVal = sanitizeString(afterVal, 100);
-    let beforeVal = sanitizeString(String(before), 100);
-
-    // Guards: abaikan saran yang tidak mengubah apa pun
-    const normalizeNFC = (s) => (s ?? '').normalize('NFC');
-    
-    // 1) after kosong/whitespace-only → skip
-    if (!afterVal || afterVal.trim().length === 0) {
-      console.warn('Empty/whitespace-only after skipped:', { before: beforeVal, after: afterVal });
-      continue;
-    }
-    
-    // 2) Sama persis → skip
-    if (afterVal === beforeVal) {
-      console.warn('No-op suggestion skipped (exact equal):', { before: beforeVal, after: afterVal });
-      continue;
-    }
-    
-    // 3) Sama jika di-trim → skip
-    if (afterVal.trim() === beforeVal.trim()) {
-      console.warn('No-op suggestion skipped (trim equal):', { before: beforeVal, after: afterVal });
-      continue;
-    }
-    
-    // 4) Sama setelah normalisasi NFC → skip
-    if (normalizeNFC(afterVal) === normalizeNFC(beforeVal)) {
-      console.warn('No-op suggestion skipped (NFC equal):', { before: beforeVal, after: afterVal });
-      continue;
-    }
-
-    const fixed = {
-      category: suggestion.category,
-      severity: suggestion.severity || 'medium',
-      before: beforeVal,
-      after: afterVal,
-      message: sanitizedMessage,
-      id: suggestion.id || `sg-${Date.now()}-${i}`
-    };
-
-    processedSuggestions.push(fixed);
-
-    // Batasi maksimal 30 untuk keamanan
-    if (processedSuggestions.length >= 30) break;
-  }
-  
-  return processedSuggestions;
+// Tulis satu event SSE
+function writeSSE(res, event, data) {
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
 }
 
-/**
- * Deduplicate suggestions - remove duplicates with same before + after
- * Safety net if LLM still returns duplicates
- */
-function deduplicateSuggestions(suggestions) {
-  const seen = new Map();
-  
-  return suggestions.filter(suggestion => {
-    const key = `${suggestion.before}|||${suggestion.after}`;
-    
-    if (seen.has(key)) {
-      console.log(`[Dedup] Removing duplicate: ${suggestion.before} → ${suggestion.after}`);
-      return false;
-    }
-    
-    seen.set(key, true);
-    return true;
+// Event meta penutup (tanpa array suggestions yang sudah dikirim satu per satu)
+function endEventStream(res, response) {
+  writeSSE(res, 'meta', {
+    version: response.version,
+    textFingerprint: response.textFingerprint,
+    meta: response.meta,
+    ...(response.paragraphs ? { paragraphs: response.paragraphs } : {})
   });
+  return res.end();
 }
 
-// Validasi bentuk minimum suggestion (tanpa position required)
-function basicSuggestionShapeValidNoPosition(suggestion) {
-  if (!suggestion || typeof suggestion !== 'object') return false;
-  const requiredFields = ['category', 'message', 'before', 'after'];
-  for (const field of requiredFields) {
-    if (!(field in suggestion)) return false;
-  }
-  return true;
-}
-
-// Legacy validator with positions (kept for backward compatibility if needed)
-function basicSuggestionShapeValid(suggestion) {
-  if (!suggestion || typeof suggestion !== 'object') return false;
-  const requiredFields = ['category', 'message', 'before', 'after', 'start', 'end'];
-  for (const field of requiredFields) {
-    if (!(field in suggestion)) return false;
-  }
-  return true;
-}
-
-// Parsing helper dengan "JSON repair" ringan
-function tryParseJSONWithRepair(content) {
-  // Coba parse langsung
-  try {
-    return JSON.parse(content);
-  } catch (_) {
-    // Lanjut ke perbaikan ringan
-  }
-  
-  const block = extractJSONBlock(content);
-  if (block) {
-    return JSON.parse(block);
-  }
-  
-  // Gagal total
-  throw new Error('Unable to parse JSON (even after repair)');
-}
-
-// Ekstrak blok JSON terluar dengan pencocokan kurung kurawal
-function extractJSONBlock(str) {
-  if (!str) return null;
-  const start = str.indexOf('{');
-  if (start === -1) return null;
-  let depth = 0;
-  for (let i = start; i < str.length; i++) {
-    const ch = str[i];
-    if (ch === '{') depth++;
-    else if (ch === '}') {
-      depth--;
-      if (depth === 0) {
-        return str.slice(start, i + 1);
-      }
-    }
-  }
-  return null;
+// Kuota harian direset tengah malam UTC
+function secondsUntilNextUTCDay() {
+  const now = new Date();
+  const next = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((next - now.getTime()) / 1000));
 }
-
-// Retry ketat untuk meminta JSON valid saja
-async function strictRetryJSON(text) {
-  try {
-    const strictResponse = await fetch('https://integrate.api.nvidia.com/v1/chat/completions', {
-      method: 'POST',
-      headers: {
-        'Authorization': `Bearer ${CONFIG.NVIDIA_API_KEY}`,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        model: CONFIG.NVIDIA_MODEL,
-        messages: [
-          { role: 'system', content: SYSTEM_PROMPT },
-          { role: 'user', content: `${text}\n\nPENTING: Keluarkan JSON VALID SAJA sesuai skema (tanpa teks lain). Jika ragu, kembalikan {"suggestions": []}.` }
-        ],
-        temperature: 0,
-        max_tokens: 3500,
-        chat_template_kwargs: { enable_thinking: false }
-      })
-    });
-    if (!strictResponse.ok) {
-      const err = await strictResponse.text();
-      console.error('Strict retry API error:', strictResponse.status, err);
-      return null;
-    }
-    const data = await strictResponse.json();
-    const content = data?.choices?.[0]?.message?.content;
-    return content || null;
-  } catch (e) {
-    console.error('Strict retry request failed:', e);
-    return null;
-  }
-}
-
-// Sanitasi string: hapus karakter kontrol, trimming, dan batasi panjang
-function sanitizeString(input, maxLen) {
-  try {
-    let s = String(input ?? '');
-    // Hapus karakter kontrol non-whitespace standar
-    s = s.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, ' ');
-    s = s.replace(/\s+/g, ' ').trim();
-    if (typeof maxLen === 'number' && maxLen > 0 && s.length > maxLen) {
-      s = s.slice(0, maxLen);
-    }
-    return s;
-  } catch {
-    return '';
-  }
-}
-
-// Cleanup old rate limit entries periodically
-setInterval(() => {
-  const now = Date.now();
-  for (const [clientId, requests] of rateLimitStore.entries()) {
-    const validRequests = requests.filter(time => now - time < CONFIG.RATE_LIMIT.windowMs);
-    if (validRequests.length === 0) {
-      rateLimitStore.delete(clientId);
-    } else {
-      rateLimitStore.set(clientId, validRequests);
-    }
-  }
-}, CONFIG.RATE_LIMIT.windowMs);
\ No newline at end of file
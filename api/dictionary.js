@@ -0,0 +1,103 @@
+// Vercel API endpoint untuk kamus kustom per tim
+// GET    /api/dictionary?team=olahraga              → daftar kata
+// POST   /api/dictionary { team, words: [...] }     → tambah kata (admin)
+// DELETE /api/dictionary { team, words: [...] }     → hapus kata (admin)
+
+import { isAdminRequest } from '../lib/auth.js';
+import {
+  DICTIONARY_LIMITS,
+  isValidTeamName,
+  listDictionaryWords,
+  addDictionaryWords,
+  removeDictionaryWords
+} from '../lib/dictionary.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+export default createApiHandler(handleDictionary, { methods: ['GET', 'POST', 'DELETE'] });
+
+async function handleDictionary(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const team = req.query?.team;
+      if (!isValidTeamName(team)) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: 'Query parameter team is required (letters, numbers, "-" or "_")'
+        });
+      }
+      const words = await listDictionaryWords(team);
+      return res.status(200).json({ team: team.toLowerCase(), words, count: words.length });
+    }
+    
+    // Perubahan kamus hanya untuk admin
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Admin token required'
+      });
+    }
+    
+    const validation = validateDictionaryRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: validation.error
+      });
+    }
+    
+    const { team, words } = req.body;
+    const count = req.method === 'POST'
+      ? await addDictionaryWords(team, words)
+      : await removeDictionaryWords(team, words);
+    
+    return res.status(200).json({
+      team: team.toLowerCase(),
+      [req.method === 'POST' ? 'added' : 'removed']: words.length,
+      count
+    });
+    
+  } catch (error) {
+    logger.error('Error in dictionary API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validate request data untuk POST/DELETE
+function validateDictionaryRequest(data) {
+  if (!data) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+  
+  if (!isValidTeamName(data.team)) {
+    return { isValid: false, error: 'Team is required (letters, numbers, "-" or "_", max 50 characters)' };
+  }
+  
+  if (!Array.isArray(data.words) || data.words.length === 0) {
+    return { isValid: false, error: 'Words must be a non-empty array' };
+  }
+  
+  if (data.words.length > DICTIONARY_LIMITS.maxWordsPerRequest) {
+    return {
+      isValid: false,
+      error: `Too many words. Maximum ${DICTIONARY_LIMITS.maxWordsPerRequest} per request`
+    };
+  }
+  
+  const invalid = data.words.find(word =>
+    typeof word !== 'string' || word.trim().length === 0 || word.length > DICTIONARY_LIMITS.maxWordLength
+  );
+  if (invalid !== undefined) {
+    return {
+      isValid: false,
+      error: `Each word must be a non-empty string of at most ${DICTIONARY_LIMITS.maxWordLength} characters`
+    };
+  }
+  
+  return { isValid: true };
+}
@@ -0,0 +1,113 @@
+// Vercel API endpoint untuk feedback editor atas suggestion
+// POST /api/feedback { before, after, category, textFingerprint, action: "accept" | "reject" }
+// GET  /api/feedback?limit=20   → pasangan before→after yang paling sering ditolak (admin)
+// Pasangan dengan rejection rate >= FEEDBACK_REJECTION_THRESHOLD (minimal
+// FEEDBACK_MIN_SAMPLES client berbeda) otomatis tidak lagi disarankan oleh /api/check.
+
+import { isAdminRequest } from '../lib/auth.js';
+import { API_KEY_MODE } from '../lib/api-keys.js';
+import { consumeRateLimit, setRateLimitHeaders } from '../lib/rate-limit.js';
+import { FEEDBACK_ACTIONS, FEEDBACK_CONFIG, recordFeedback, listMostRejectedPairs } from '../lib/feedback.js';
+import { SUGGESTION_CATEGORIES } from '../lib/suggestions.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+const MAX_PAIR_TEXT_LENGTH = 200;
+const MAX_LIST_LIMIT = 100;
+
+export default createApiHandler(handleFeedback, { methods: ['GET', 'POST'], rateLimit: 'feedback' });
+
+async function handleFeedback(req, res, client) {
+  try {
+    if (req.method === 'GET') {
+      // Daftar berisi potongan teks artikel, jadi hanya untuk admin
+      if (!isAdminRequest(req)) {
+        return res.status(401).json({
+          error: 'Unauthorized',
+          message: 'Admin token required'
+        });
+      }
+      const limit = req.query?.limit === undefined ? 20 : Number(req.query.limit);
+      if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: `Query parameter limit must be an integer between 1 and ${MAX_LIST_LIMIT}`
+        });
+      }
+      const pairs = await listMostRejectedPairs(limit);
+      return res.status(200).json({
+        pairs,
+        rejectionThreshold: FEEDBACK_CONFIG.rejectionThreshold,
+        minSamples: FEEDBACK_CONFIG.minSamples
+      });
+    }
+    
+    if (!client) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: API_KEY_MODE === 'required'
+          ? 'A valid API key is required (header x-api-key)'
+          : 'Invalid or revoked API key'
+      });
+    }
+    
+    const rateLimitStatus = await consumeRateLimit('feedback', client.id, client.rateLimit);
+    setRateLimitHeaders(res, rateLimitStatus);
+    if (!rateLimitStatus.allowed) {
+      return res.status(429).json({
+        error: 'Rate limit exceeded',
+        message: 'Terlalu banyak permintaan. Silakan coba lagi nanti.'
+      });
+    }
+    
+    const validation = validateFeedbackRequest(req.body);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: validation.error
+      });
+    }
+    
+    const { before, after, category, textFingerprint, action } = req.body;
+    const result = await recordFeedback({ before, after, category, action, clientId: client.id });
+    logger.info('Feedback recorded', { pairId: result.id, textFingerprint, action, recorded: result.recorded, suppressed: result.suppressed });
+    return res.status(200).json(result);
+    
+  } catch (error) {
+    logger.error('Error in feedback API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validate request data untuk POST
+function validateFeedbackRequest(data) {
+  if (!data) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+  
+  for (const field of ['before', 'after']) {
+    const value = data[field];
+    if (typeof value !== 'string' || value.trim().length === 0 || value.length > MAX_PAIR_TEXT_LENGTH) {
+      return { isValid: false, error: `${field} must be a non-empty string of at most ${MAX_PAIR_TEXT_LENGTH} characters` };
+    }
+  }
+  
+  if (!SUGGESTION_CATEGORIES.includes(data.category)) {
+    return { isValid: false, error: `Category must be one of: ${SUGGESTION_CATEGORIES.join(', ')}` };
+  }
+  
+  if (typeof data.textFingerprint !== 'string' || !/^[0-9a-f]{16}$/.test(data.textFingerprint)) {
+    return { isValid: false, error: 'textFingerprint must be the 16-character fingerprint returned by /api/check' };
+  }
+  
+  if (!FEEDBACK_ACTIONS.includes(data.action)) {
+    return { isValid: false, error: `Action must be one of: ${FEEDBACK_ACTIONS.join(', ')}` };
+  }
+  
+  return { isValid: true };
+}
@@ -0,0 +1,129 @@
+// Vercel API endpoint untuk health/readiness check
+// GET /api/health           → status konfigurasi, KV, versi build/prompt/style guide
+// GET /api/health?probe=1   → plus probe 1 token ke setiap provider LLM (admin)
+// Tidak pernah menampilkan secret; hanya apakah sudah dikonfigurasi.
+
+import { isAdminRequest } from '../lib/auth.js';
+import { isKVConfigured, kvPipeline } from '../lib/kv.js';
+import { LLM_CONFIG, LLM_PROVIDERS, getActiveProviders, probeProvider, usesStructuredOutput } from '../lib/llm.js';
+import { FIXTURE_CONFIG } from '../lib/llm-fixtures.js';
+import { buildSystemPrompt, getPromptVersion } from '../lib/prompt.js';
+import { getStyleGuide } from '../lib/style-guide.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+const BUILD_INFO = {
+  version: process.env.BUILD_VERSION || process.env.VERCEL_GIT_COMMIT_SHA?.substring(0, 7) || 'dev',
+  commit: process.env.VERCEL_GIT_COMMIT_SHA || null,
+  environment: process.env.VERCEL_ENV || process.env.NODE_ENV || 'development'
+};
+
+export default createApiHandler(handleHealth, { methods: ['GET'] });
+
+async function handleHealth(req, res) {
+  // Probe memakai kuota provider, jadi hanya untuk admin
+  const probe = ['1', 'true'].includes(req.query?.probe);
+  if (probe && !isAdminRequest(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin token required for upstream probe'
+    });
+  }
+  
+  try {
+    const activeProviders = getActiveProviders();
+    const [kv, versions, upstream] = await Promise.all([
+      checkKV(),
+      getVersions(),
+      probe ? Promise.all(activeProviders.map(async provider => ({
+        provider: provider.name,
+        model: provider.model,
+        ...(await probeProvider(provider))
+      }))) : null
+    ]);
+    
+    // error: tidak ada provider yang bisa dipakai; degraded: sebagian komponen bermasalah
+    let status = 'ok';
+    if (activeProviders.length === 0 || (upstream && !upstream.some(result => result.reachable))) {
+      status = 'error';
+    } else if ((kv.configured && !kv.reachable) || (upstream && upstream.some(result => !result.reachable)) || versions.error) {
+      status = 'degraded';
+    }
+    
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(status === 'error' ? 503 : 200).json({
+      status,
+      time: new Date().toISOString(),
+      build: BUILD_INFO,
+      config: {
+        providerChain: LLM_CONFIG.LLM_PROVIDER_CHAIN,
+        providers: LLM_CONFIG.LLM_PROVIDER_CHAIN.map(name => describeProvider(name, activeProviders)),
+        kvConfigured: isKVConfigured(),
+        adminTokenConfigured: Boolean(process.env.ADMIN_TOKEN),
+        llmFixtureMode: FIXTURE_CONFIG.mode
+      },
+      kv,
+      upstream: upstream ? { probed: true, providers: upstream } : { probed: false },
+      versions
+    });
+    
+  } catch (error) {
+    logger.error('Error in health API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Status provider tanpa API key-nya
+function describeProvider(name, activeProviders) {
+  const provider = LLM_PROVIDERS[name];
+  if (!provider) {
+    return { name, known: false, active: false };
+  }
+  return {
+    name,
+    known: true,
+    model: provider.model || null,
+    baseUrlConfigured: Boolean(provider.baseUrl),
+    apiKeyConfigured: Boolean(provider.apiKey),
+    structuredOutput: usesStructuredOutput(provider) ? provider.structuredOutput : null,
+    active: activeProviders.includes(provider)
+  };
+}
+
+// Reachability Upstash lewat PING
+async function checkKV() {
+  if (!isKVConfigured()) {
+    return { configured: false, reachable: null };
+  }
+  const startedAt = Date.now();
+  try {
+    const results = await kvPipeline([["PING"]]);
+    return {
+      configured: true,
+      reachable: results?.[0]?.result === 'PONG',
+      latencyMs: Date.now() - startedAt
+    };
+  } catch (err) {
+    logger.warn('KV health check gagal', { error: err });
+    return { configured: true, reachable: false, latencyMs: Date.now() - startedAt };
+  }
+}
+
+// Versi prompt & style guide yang sedang dipakai /api/check
+async function getVersions() {
+  try {
+    const styleGuide = await getStyleGuide();
+    return {
+      prompt: getPromptVersion(buildSystemPrompt(styleGuide)),
+      styleGuide: styleGuide.version
+    };
+  } catch (err) {
+    logger.warn('Gagal membaca versi style guide', { error: err });
+    return { prompt: null, styleGuide: null, error: 'style_guide_unavailable' };
+  }
+}
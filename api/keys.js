@@ -0,0 +1,98 @@
+// Vercel API endpoint untuk mengelola API key (khusus admin)
+// GET    /api/keys                                            → daftar key (tanpa hash)
+// POST   /api/keys { name, team?, maxRequests?, windowMs?, dailyQuota? } → buat key baru
+// DELETE /api/keys { id }                                     → cabut key
+
+import { isAdminRequest } from '../lib/auth.js';
+import { isValidTeamName } from '../lib/dictionary.js';
+import { createApiKey, revokeApiKey, listApiKeys } from '../lib/api-keys.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+export default createApiHandler(handleKeys, { methods: ['GET', 'POST', 'DELETE'] });
+
+async function handleKeys(req, res) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin token required'
+    });
+  }
+  
+  try {
+    if (req.method === 'GET') {
+      const keys = await listApiKeys();
+      return res.status(200).json({ keys, count: keys.length });
+    }
+    
+    if (req.method === 'POST') {
+      const validation = validateCreateKeyRequest(req.body);
+      if (!validation.isValid) {
+        return res.status(400).json({
+          error: 'Invalid request',
+          message: validation.error
+        });
+      }
+      
+      const { name, team, maxRequests, windowMs, dailyQuota } = req.body;
+      const created = await createApiKey({
+        name: name.trim(),
+        team: team ? team.toLowerCase() : null,
+        maxRequests,
+        windowMs,
+        dailyQuota
+      });
+      // Raw key hanya ditampilkan sekali; yang tersimpan hanya hash-nya
+      return res.status(201).json(created);
+    }
+    
+    const id = req.body?.id;
+    if (typeof id !== 'string' || !/^[0-9a-f]{16}$/.test(id)) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'Key id is required (16 hex characters)'
+      });
+    }
+    const revoked = await revokeApiKey(id);
+    if (!revoked) {
+      return res.status(404).json({
+        error: 'Not found',
+        message: 'API key not found'
+      });
+    }
+    return res.status(200).json({ revoked });
+    
+  } catch (error) {
+    logger.error('Error in keys API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validate request data untuk POST
+function validateCreateKeyRequest(data) {
+  if (!data) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+  
+  if (typeof data.name !== 'string' || data.name.trim().length === 0 || data.name.length > 100) {
+    return { isValid: false, error: 'Name is required (max 100 characters)' };
+  }
+  
+  if (data.team !== undefined && data.team !== null && !isValidTeamName(data.team)) {
+    return { isValid: false, error: 'Team must contain letters, numbers, "-" or "_" (max 50 characters)' };
+  }
+  
+  for (const field of ['maxRequests', 'windowMs', 'dailyQuota']) {
+    const value = data[field];
+    if (value !== undefined && (!Number.isInteger(value) || value < 1)) {
+      return { isValid: false, error: `${field} must be a positive integer` };
+    }
+  }
+  
+  return { isValid: true };
+}
@@ -0,0 +1,35 @@
+// Vercel API endpoint untuk metrics Prometheus (khusus admin)
+// GET /api/metrics → text exposition format, diagregasi dari semua instance lewat KV
+// Scrape config: authorization { credentials: <ADMIN_TOKEN> }
+
+import { isAdminRequest } from '../lib/auth.js';
+import { renderPrometheusMetrics } from '../lib/metrics.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+export default createApiHandler(handleMetrics, { methods: ['GET'] });
+
+async function handleMetrics(req, res) {
+  if (!isAdminRequest(req)) {
+    return res.status(401).json({
+      error: 'Unauthorized',
+      message: 'Admin token required'
+    });
+  }
+  
+  try {
+    const body = await renderPrometheusMetrics();
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.setHeader('Cache-Control', 'no-store');
+    return res.status(200).send(body);
+    
+  } catch (error) {
+    logger.error('Error in metrics API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
@@ -0,0 +1,32 @@
+// Vercel API endpoint untuk skema JSON suggestion (JSON Schema 2020-12)
+// GET /api/schema             → skema satu suggestion di respons /api/check dan /api/batch
+// GET /api/schema?target=llm  → skema output yang diminta dari LLM (guided JSON / response_format)
+// Dipakai tim client untuk memvalidasi fixture; sumbernya lib/suggestions.js.
+
+import { SUGGESTION_SCHEMA, LLM_RESPONSE_SCHEMA } from '../lib/suggestions.js';
+import { createApiHandler } from '../lib/handler.js';
+
+const SCHEMA_TARGETS = {
+  suggestion: SUGGESTION_SCHEMA,
+  llm: {
+    $schema: SUGGESTION_SCHEMA.$schema,
+    title: 'Periksa Kata LLM response',
+    ...LLM_RESPONSE_SCHEMA
+  }
+};
+
+export default createApiHandler(handleSchema, { methods: ['GET'] });
+
+function handleSchema(req, res) {
+  const target = req.query?.target || 'suggestion';
+  const schema = SCHEMA_TARGETS[target];
+  if (!schema) {
+    return res.status(400).json({
+      error: 'Invalid request',
+      message: `Query parameter target must be one of: ${Object.keys(SCHEMA_TARGETS).join(', ')}`
+    });
+  }
+  
+  res.setHeader('Cache-Control', 'public, max-age=300');
+  return res.status(200).json(schema);
+}
@@ -0,0 +1,127 @@
+// Vercel API endpoint untuk style guide Kompas (kata baku & nama negara)
+// GET    /api/style-guide                                         → rules + version
+// POST   /api/style-guide { type, from, to, message }             → tambah rule (admin)
+// PUT    /api/style-guide { id, type?, from?, to?, message? }     → ubah rule (admin)
+// DELETE /api/style-guide { id }                                  → hapus rule (admin)
+// Perubahan boleh menyertakan expectedVersion untuk mencegah saling timpa.
+
+import { isAdminRequest } from '../lib/auth.js';
+import {
+  STYLE_GUIDE_RULE_TYPES,
+  StyleGuideConflictError,
+  getStyleGuide,
+  addStyleGuideRule,
+  updateStyleGuideRule,
+  deleteStyleGuideRule
+} from '../lib/style-guide.js';
+import { logger } from '../lib/logger.js';
+import { createApiHandler } from '../lib/handler.js';
+
+export default createApiHandler(handleStyleGuide, { methods: ['GET', 'POST', 'PUT', 'DELETE'] });
+
+async function handleStyleGuide(req, res) {
+  try {
+    if (req.method === 'GET') {
+      const styleGuide = await getStyleGuide();
+      return res.status(200).json(styleGuide);
+    }
+    
+    // Perubahan style guide hanya untuk admin
+    if (!isAdminRequest(req)) {
+      return res.status(401).json({
+        error: 'Unauthorized',
+        message: 'Admin token required'
+      });
+    }
+    
+    const data = req.body || {};
+    const current = await getStyleGuide();
+    const validation = validateRuleRequest(req.method, data, current.rules);
+    if (!validation.isValid) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: validation.error
+      });
+    }
+    
+    const expectedVersion = data.expectedVersion;
+    
+    if (req.method === 'POST') {
+      const { styleGuide, rule } = await addStyleGuideRule(data, expectedVersion);
+      return res.status(201).json({ version: styleGuide.version, rule });
+    }
+    
+    if (req.method === 'PUT') {
+      const { styleGuide, rule } = await updateStyleGuideRule(data.id, data, expectedVersion);
+      if (!rule) {
+        return res.status(404).json({ error: 'Not found', message: `Rule ${data.id} not found` });
+      }
+      return res.status(200).json({ version: styleGuide.version, rule });
+    }
+    
+    const { styleGuide, removed } = await deleteStyleGuideRule(data.id, expectedVersion);
+    if (!removed) {
+      return res.status(404).json({ error: 'Not found', message: `Rule ${data.id} not found` });
+    }
+    return res.status(200).json({ version: styleGuide.version, removed: data.id });
+    
+  } catch (error) {
+    if (error instanceof StyleGuideConflictError) {
+      return res.status(409).json({
+        error: 'Version conflict',
+        message: error.message,
+        currentVersion: error.currentVersion
+      });
+    }
+    
+    logger.error('Error in style guide API', { error });
+    
+    // Don't expose internal errors
+    return res.status(500).json({
+      error: 'Internal server error',
+      message: 'Terjadi kesalahan saat memproses permintaan'
+    });
+  }
+}
+
+// Validate request data untuk POST/PUT/DELETE
+function validateRuleRequest(method, data, rules) {
+  if (data.expectedVersion !== undefined && !Number.isInteger(data.expectedVersion)) {
+    return { isValid: false, error: 'expectedVersion must be an integer' };
+  }
+  
+  if (method !== 'POST' && (typeof data.id !== 'string' || data.id.length === 0)) {
+    return { isValid: false, error: 'Rule id is required' };
+  }
+  
+  if (method === 'DELETE') {
+    return { isValid: true };
+  }
+  
+  const required = method === 'POST';
+  
+  if ((required || data.type !== undefined) && !STYLE_GUIDE_RULE_TYPES.includes(data.type)) {
+    return { isValid: false, error: `Rule type must be one of: ${STYLE_GUIDE_RULE_TYPES.join(', ')}` };
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (!required && data[field] === undefined) continue;
+    if (typeof data[field] !== 'string' || data[field].trim().length === 0 || data[field].length > 100) {
+      return { isValid: false, error: `Rule ${field} must be a non-empty string of at most 100 characters` };
+    }
+  }
+  
+  if (data.message !== undefined && (typeof data.message !== 'string' || data.message.length > 200)) {
+    return { isValid: false, error: 'Rule message must be a string of at most 200 characters' };
+  }
+  
+  if (data.from !== undefined) {
+    const from = data.from.trim().toLowerCase();
+    const duplicate = rules.find(rule => rule.from.toLowerCase() === from && rule.id !== data.id);
+    if (duplicate) {
+      return { isValid: false, error: `A rule for '${data.from}' already exists (${duplicate.id})` };
+    }
+  }
+  
+  return { isValid: true };
+}
@@ -0,0 +1,173 @@
+// API key untuk /api/check: disimpan sebagai hash di KV, masing-masing dengan
+// rate limit dan kuota harian sendiri. Fallback in-memory jika KV tidak tersedia.
+
+import { createHash, randomBytes } from 'crypto';
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+import { resolveRateLimit } from './rate-limit.js';
+
+const KEY_PREFIX = 'periksakata:apikey:';
+const KEY_INDEX = 'periksakata:apikeys';
+
+// API key storage (fallback jika Upstash tidak tersedia): id -> record
+const apiKeyStore = new Map();
+// Daily quota storage (fallback): `${id}:${day}` -> jumlah request
+const quotaStore = new Map();
+
+// "optional": tanpa key memakai tier anonim, "required": tanpa key ditolak 401
+export const API_KEY_MODE = process.env.API_KEY_MODE === 'required' ? 'required' : 'optional';
+
+export const API_KEY_DEFAULTS = {
+  dailyQuota: 5000
+};
+
+function hashApiKey(rawKey) {
+  return createHash('sha256').update(String(rawKey), 'utf8').digest('hex');
+}
+
+// id publik key = 16 karakter pertama hash (aman ditampilkan)
+function apiKeyId(hash) {
+  return hash.substring(0, 16);
+}
+
+async function readRecord(id) {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["GET", `${KEY_PREFIX}${id}`]]);
+      const raw = results?.[0]?.result;
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      logger.warn('API key read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return apiKeyStore.get(id) || null;
+}
+
+async function writeRecord(record) {
+  if (isKVConfigured()) {
+    try {
+      await kvPipeline([
+        ["SET", `${KEY_PREFIX}${record.id}`, JSON.stringify(record)],
+        ["SADD", KEY_INDEX, record.id]
+      ]);
+      return;
+    } catch (err) {
+      logger.warn('API key write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  apiKeyStore.set(record.id, record);
+}
+
+// Tanpa hash: data yang aman dikirim ke admin
+function publicRecord(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+// Buat API key baru; raw key hanya dikembalikan sekali di sini.
+// maxRequests/windowMs null = ikut limit tier "key" di lib/rate-limit.js
+export async function createApiKey({ name, team = null, maxRequests, windowMs, dailyQuota }) {
+  const rawKey = `pk_${randomBytes(24).toString('base64url')}`;
+  const hash = hashApiKey(rawKey);
+  const record = {
+    id: apiKeyId(hash),
+    hash,
+    name,
+    team,
+    maxRequests: maxRequests ?? null,
+    windowMs: windowMs ?? null,
+    dailyQuota: dailyQuota ?? API_KEY_DEFAULTS.dailyQuota,
+    createdAt: new Date().toISOString(),
+    revokedAt: null
+  };
+  await writeRecord(record);
+  return { key: rawKey, record: publicRecord(record) };
+}
+
+// Cabut API key; mengembalikan record (null jika tidak ada)
+export async function revokeApiKey(id) {
+  const record = await readRecord(id);
+  if (!record) return null;
+  if (!record.revokedAt) {
+    record.revokedAt = new Date().toISOString();
+    await writeRecord(record);
+  }
+  return publicRecord(record);
+}
+
+// Daftar semua API key (tanpa hash)
+export async function listApiKeys() {
+  let ids = [...apiKeyStore.keys()];
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["SMEMBERS", KEY_INDEX]]);
+      ids = Array.isArray(results?.[0]?.result) ? results[0].result : [];
+    } catch (err) {
+      logger.warn('API key list via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  const records = await Promise.all(ids.map(readRecord));
+  return records.filter(Boolean).map(publicRecord);
+}
+
+// Cocokkan raw key dengan record tersimpan; null jika tidak valid atau sudah dicabut
+export async function authenticateApiKey(rawKey) {
+  if (!rawKey || typeof rawKey !== 'string') return null;
+  const hash = hashApiKey(rawKey);
+  const record = await readRecord(apiKeyId(hash));
+  if (!record || record.hash !== hash || record.revokedAt) return null;
+  return publicRecord(record);
+}
+
+// Hitung pemakaian harian (UTC) sebanyak amount request; true jika masih dalam kuota
+export async function checkDailyQuota(record, amount = 1) {
+  const day = new Date().toISOString().slice(0, 10);
+  const key = `periksakata:quota:${record.id}:${day}`;
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([
+        ["INCRBY", key, amount],
+        ["EXPIRE", key, 172800, "NX"] // simpan 2 hari
+      ]);
+      const used = Number(results?.[0]?.result ?? 0);
+      if (!Number.isFinite(used)) {
+        throw new Error('Invalid INCRBY result from Upstash');
+      }
+      return used <= record.dailyQuota;
+    } catch (err) {
+      logger.warn('Daily quota via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  for (const storedKey of quotaStore.keys()) {
+    if (!storedKey.endsWith(`:${day}`)) quotaStore.delete(storedKey);
+  }
+  const memoryKey = `${record.id}:${day}`;
+  const used = (quotaStore.get(memoryKey) || 0) + amount;
+  quotaStore.set(memoryKey, used);
+  return used <= record.dailyQuota;
+}
+
+// Tentukan identitas & limit client (untuk route tertentu) dari header x-api-key.
+// null = harus ditolak (key tidak valid, atau tanpa key saat mode "required").
+export async function resolveClient(req, route) {
+  const rawKey = req.headers['x-api-key'];
+  if (rawKey) {
+    const apiKey = await authenticateApiKey(rawKey);
+    if (!apiKey) return null;
+    return {
+      id: `key:${apiKey.id}`,
+      apiKey,
+      rateLimit: resolveRateLimit(route, 'key', apiKey)
+    };
+  }
+  if (API_KEY_MODE === 'required') return null;
+  return { id: getClientId(req), apiKey: null, rateLimit: resolveRateLimit(route, 'anonymous') };
+}
+
+// Get client identifier
+export function getClientId(req) {
+  // Use IP address as client identifier
+  const forwarded = req.headers['x-forwarded-for'];
+  const ip = forwarded ? forwarded.split(',')[0] : req.connection.remoteAddress;
+  return ip || 'unknown';
+}
@@ -0,0 +1,16 @@
+// Autentikasi sederhana untuk endpoint admin (token di env ADMIN_TOKEN)
+
+import { createHash, timingSafeEqual } from 'crypto';
+
+// True jika request membawa header "Authorization: Bearer <ADMIN_TOKEN>" yang valid.
+// Jika ADMIN_TOKEN tidak diset, semua request admin ditolak.
+export function isAdminRequest(req) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) return false;
+  const header = String(req.headers?.authorization || '');
+  if (!header.startsWith('Bearer ')) return false;
+  // Bandingkan hash agar panjang sama dan perbandingan constant-time
+  const provided = createHash('sha256').update(header.slice(7)).digest();
+  const expected = createHash('sha256').update(adminToken).digest();
+  return timingSafeEqual(provided, expected);
+}
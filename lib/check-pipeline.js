@@ -0,0 +1,1404 @@
+// Pipeline pemeriksaan Periksa Kata: validasi request, rule engine Kompas, LLM per chunk,
+// penggabungan suggestion, cache hasil, dan re-check incremental.
+// Dipakai bersama oleh /api/check dan /api/batch.
+
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { createTextFingerprint } from './fingerprint.js';
+import { SUGGESTION_CATEGORIES, LLM_RESPONSE_SCHEMA, LLM_SUGGESTION_SCHEMA, validateSchema } from './suggestions.js';
+import { callChatCompletion } from './llm.js';
+import { buildSystemPrompt, getPromptVersion } from './prompt.js';
+import { getDictionary, isValidTeamName, normalizeDictionaryWord } from './dictionary.js';
+import { getStyleGuide, defaultRuleMessage, formatRuleMessage } from './style-guide.js';
+import { getSuppressedPairs, feedbackPairId } from './feedback.js';
+import { logger } from './logger.js';
+import { incrementCounter } from './metrics.js';
+import { TEXT_FORMATS, extractReadableText, mapToSource } from './markup.js';
+
+// Result cache storage (fallback jika Upstash tidak tersedia)
+const resultCacheStore = new Map();
+
+// Configuration
+export const CONFIG = {
+  CACHE: {
+    ttlSec: Number(process.env.CACHE_TTL_SEC) || 86400, // 1 hari
+    maxMemoryEntries: 500
+  },
+  MAX_TEXT_LENGTH: 20000,
+  MAX_SUGGESTIONS_LIMIT: 1000,
+  // Jenis protected span yang aktif secara default (lihat PROTECTED_SPAN_PATTERNS)
+  PROTECTED_SPAN_TYPES: (process.env.PROTECTED_SPAN_TYPES || 'byline,photo_credit,url,email,hashtag,mention,code')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean),
+  // Teks panjang dipecah per paragraf/kalimat dan diperiksa paralel
+  CHUNKING: {
+    maxChunkLength: Number(process.env.CHUNK_MAX_LENGTH) || 4000,
+    concurrency: Number(process.env.CHUNK_CONCURRENCY) || 3
+  },
+  // Re-check incremental: batas jumlah paragraf per request
+  INCREMENTAL: {
+    maxParagraphs: Number(process.env.INCREMENTAL_MAX_PARAGRAPHS) || 500
+  }
+};
+
+// Checklist per kategori untuk user prompt
+const CATEGORY_CHECKLIST = {
+  typo: '✓ Typo/singkatan: huruf hilang, singkatan tidak standar',
+  baku: '✓ Kata tidak baku: kata yang tidak ada di KBBI',
+  eyd: '✓ EYD: penulisan kata depan, awalan, akhiran',
+  konteks: '✓ Konteks: kata benar ejaan tapi salah makna'
+};
+
+// Satu kata nama di kredit foto. Titik hanya ikut jika diikuti huruf ("A.B") atau sebagai
+// inisial ("A. HANDOKO", "M.P. AGUS"), sehingga span berhenti di akhir kalimat ("KOMPAS/IJIN RAHMAN. Polisi ...")
+const PHOTO_CREDIT_NAME = String.raw`(?:\p{Lu}(?:\.\p{Lu})*\.(?=[^\S\n]+\p{Lu})|\p{Lu}(?:[\p{L}'-]|\.(?=\p{L}))*)`;
+
+// Pola bagian teks yang tidak boleh dikoreksi (byline, kredit foto, URL, dst).
+// Suggestion yang 'before'-nya hanya muncul di dalam bagian ini akan dibuang.
+const PROTECTED_SPAN_PATTERNS = {
+  // "JAKARTA, KOMPAS —", "Bandung, KOMPAS," di awal paragraf
+  byline: /^[^\S\n]*\p{Lu}[\p{L} .'-]{1,40}, KOMPAS\b[^\S\n]*[—–:,-]?/gmu,
+  // "KOMPAS/RIZA FATHONI", "Kompas/Priyombodo"
+  photo_credit: new RegExp(String.raw`\b(?:KOMPAS|Kompas)\/${PHOTO_CREDIT_NAME}(?:[^\S\n]+${PHOTO_CREDIT_NAME})*`, 'gu'),
+  url: /\b(?:https?:\/\/|www\.)[^\s<>"'()\[\]]+/giu,
+  email: /[\p{L}\p{N}._%+-]+@[\p{L}\p{N}.-]+\.\p{L}{2,}/gu,
+  hashtag: /(?<![\p{L}\p{N}_])#[\p{L}\p{N}_]+/gu,
+  mention: /(?<![\p{L}\p{N}_.])@[\p{L}\p{N}_]+(?:\.[\p{L}\p{N}_]+)*/gu,
+  code: /```[\s\S]*?```|`[^`\n]+`/g,
+  // Kutipan langsung; tidak aktif secara default
+  quote: /“[^”\n]*”|"[^"\n]*"/gu
+};
+
+// Pipeline pemeriksaan: rule engine + LLM per chunk, digabung tanpa duplikat.
+// Dipakai bersama oleh respons JSON biasa dan streaming sehingga hasilnya identik.
+// onSuggestion (opsional) dipanggil untuk setiap suggestion final, dalam urutan yang sama
+// dengan array hasil dan tetap menghormati maxSuggestions.
+export async function runCheckPipeline(text, kompasContext, checkOptions, { onSuggestion = null } = {}) {
+  const stats = createPipelineStats();
+  // Protected span dideteksi sebelum LLM dipanggil
+  const protectedSpans = findProtectedSpans(text, checkOptions.protectedSpanTypes);
+  let dictionarySuppressed = 0;
+  const merger = createSuggestionMerger(text, {
+    protectedSpans,
+    dictionary: checkOptions.dictionary,
+    suppressedPairs: checkOptions.feedback.ids,
+    onDrop: reason => recordDrop(stats.drops, reason),
+    onSuppress: () => dictionarySuppressed++
+  });
+  let emittedCount = 0;
+  const accept = (list, fromRules = false) => {
+    const added = merger.add(list, { fromRules });
+    for (const suggestion of added) {
+      if (onSuggestion && emittedCount < checkOptions.maxSuggestions) {
+        emittedCount++;
+        onSuggestion(suggestion);
+      }
+    }
+    return added;
+  };
+  
+  // Rule engine Kompas jalan lebih dulu dan tidak bergantung pada LLM (kategori 'baku')
+  const ruleSuggestions = checkOptions.categories.includes('baku')
+    ? checkTextWithKompasRules(text, kompasContext, checkOptions.styleGuide.rules)
+    : [];
+  logger.debug('Kompas rules returned suggestions', { count: ruleSuggestions.length });
+  // Dihitung setelah filter protected span & kamus: hanya rule yang benar-benar dipakai
+  const ruleSuggestionsCount = accept(ruleSuggestions, true).length;
+  
+  let didCallLLM = false;
+  let skippedReason = null;
+  let chunkInfo = { total: 0, failed: 0, partial: 0 };
+  
+  try {
+    didCallLLM = true;
+    const chunkResult = await checkTextInChunks(text, kompasContext, stats, checkOptions, {
+      onChunkResult: suggestions => accept(suggestions)
+    });
+    chunkInfo = { total: chunkResult.chunkCount, failed: chunkResult.failedChunks, partial: stats.partialResponses };
+    logger.info('LLM returned suggestions', { count: chunkResult.suggestions.length });
+    logger.debug('LLM suggestions', { suggestions: chunkResult.suggestions });
+  } catch (error) {
+    didCallLLM = false;
+    if (error instanceof LLMResponseParseError) {
+      logger.error('LLM response could not be parsed', { error });
+      skippedReason = 'parse_error';
+    } else {
+      logger.error('All LLM providers failed', { error });
+      skippedReason = 'api_error';
+    }
+  }
+  
+  const allSuggestions = merger.suggestions;
+  const { suggestions, truncated } = applySuggestionLimit(allSuggestions, checkOptions.maxSuggestions);
+  
+  return {
+    suggestions,
+    allSuggestions,
+    // Hasil parsial (respons LLM terpotong atau chunk gagal) tidak di-cache agar pemeriksaan ulang mendapat hasil lengkap
+    cacheable: didCallLLM && chunkInfo.failed === 0 && chunkInfo.partial === 0,
+    meta: {
+      llmCalled: didCallLLM,
+      skippedReason,
+      partial: chunkInfo.partial > 0 || chunkInfo.failed > 0,
+      modelUsed: describeModelsUsed(stats),
+      providerUsed: describeProvidersUsed(stats),
+      promptVersion: checkOptions.promptVersion,
+      styleGuideVersion: checkOptions.styleGuide.version,
+      cacheHit: false,
+      textLength: text.length,
+      suggestionsCount: suggestions.length,
+      truncated,
+      categories: checkOptions.categories,
+      ruleSuggestionsCount,
+      chunks: chunkInfo,
+      droppedSuggestions: summarizeDrops(stats.drops),
+      protectedSpans: describeProtectedSpans(protectedSpans),
+      dictionary: describeDictionaryUsage(checkOptions.dictionary, dictionarySuppressed)
+    }
+  };
+}
+
+// Pecah teks menjadi paragraf (dipisah baris baru) beserta offset & fingerprint
+function splitTextIntoParagraphs(text) {
+  const paragraphs = [];
+  for (const match of text.matchAll(/[^\n]+/g)) {
+    if (match[0].trim().length === 0) continue;
+    paragraphs.push({
+      text: match[0],
+      start: match.index,
+      end: match.index + match[0].length,
+      fingerprint: createTextFingerprint(match[0])
+    });
+  }
+  return paragraphs;
+}
+
+// Rencana re-check incremental: paragraf yang fingerprint-nya ada di daftar
+// sebelumnya dipakai ulang dari cache per paragraf; sisanya diperiksa ulang.
+// Paragraf "tidak berubah" yang hasilnya sudah hilang dari cache ikut diperiksa ulang.
+// Paragraf berubah digabung menjadi satu teks (dipisah baris kosong) yang dipecah per chunk
+// seperti pemeriksaan biasa, sehingga llmCalls = jumlah chunk, bukan jumlah paragraf.
+export async function planIncrementalCheck(text, kompasContext, checkOptions, incrementalRequest, { bypassCache = false } = {}) {
+  const previous = new Set(incrementalRequest.previousParagraphFingerprints || []);
+  const paragraphs = splitTextIntoParagraphs(text);
+  if (paragraphs.length > CONFIG.INCREMENTAL.maxParagraphs) {
+    throw new TooManyParagraphsError(CONFIG.INCREMENTAL.maxParagraphs);
+  }
+  const toCheck = [];
+  for (const paragraph of paragraphs) {
+    // Terpisah dari cache teks penuh: isinya hanya suggestion, tanpa meta
+    paragraph.cacheKey = `${buildCacheKey(paragraph.fingerprint, kompasContext, checkOptions)}:paragraph`;
+    paragraph.cached = null;
+    if (!bypassCache && previous.has(paragraph.fingerprint)) {
+      paragraph.cached = await getCachedResult(paragraph.cacheKey);
+    }
+    if (!paragraph.cached) toCheck.push(paragraph);
+  }
+  let combinedText = '';
+  for (const paragraph of toCheck) {
+    if (combinedText) combinedText += '\n\n';
+    paragraph.combinedStart = combinedText.length;
+    combinedText += paragraph.text;
+  }
+  return { paragraphs, toCheck, combinedText, llmCalls: countLLMCalls(combinedText) };
+}
+
+// Jalankan re-check incremental: paragraf berubah diperiksa dalam satu pipeline
+// (teks gabungan dari planIncrementalCheck), hasilnya dibagi kembali dan di-cache per paragraf,
+// lalu semua hasil digabung ulang terhadap teks baru sehingga occurrences mengikuti offset teks terbaru.
+export async function runIncrementalCheck(text, kompasContext, checkOptions, plan, { onSuggestion = null } = {}) {
+  const paragraphOptions = { ...checkOptions, maxSuggestions: CONFIG.MAX_SUGGESTIONS_LIMIT };
+  const checked = plan.toCheck.length > 0
+    ? await runCheckPipeline(plan.combinedText, kompasContext, paragraphOptions)
+    : null;
+  const resultByParagraph = new Map();
+  for (const paragraph of checked ? plan.toCheck : []) {
+    const paragraphEnd = paragraph.combinedStart + paragraph.text.length;
+    const suggestions = checked.allSuggestions.filter(suggestion =>
+      suggestion.occurrences.some(occ => occ.start >= paragraph.combinedStart && occ.end <= paragraphEnd));
+    resultByParagraph.set(paragraph, { suggestions });
+    if (checked.cacheable) {
+      await setCachedResult(paragraph.cacheKey, { suggestions });
+    }
+  }
+
+  // Rule engine dijalankan ulang pada teks penuh agar tetap diutamakan saat digabung
+  const drops = {};
+  let dictionarySuppressed = 0;
+  const protectedSpans = findProtectedSpans(text, checkOptions.protectedSpanTypes);
+  const merger = createSuggestionMerger(text, {
+    protectedSpans,
+    dictionary: checkOptions.dictionary,
+    suppressedPairs: checkOptions.feedback.ids,
+    onDrop: reason => recordDrop(drops, reason),
+    onSuppress: () => dictionarySuppressed++
+  });
+  const ruleSuggestions = checkOptions.categories.includes('baku')
+    ? checkTextWithKompasRules(text, kompasContext, checkOptions.styleGuide.rules)
+    : [];
+  const ruleSuggestionsCount = merger.add(ruleSuggestions, { fromRules: true }).length;
+  plan.paragraphs.forEach((paragraph, index) => {
+    const source = paragraph.cached || resultByParagraph.get(paragraph);
+    if (!source) return;
+    // id dibuat unik per paragraf agar tidak bertabrakan setelah digabung (seperti -c<index> per chunk)
+    merger.add(source.suggestions.map(suggestion => ({ ...suggestion, id: `${suggestion.id}-p${index}` })));
+  });
+
+  const allSuggestions = merger.suggestions;
+  const { suggestions, truncated } = applySuggestionLimit(allSuggestions, checkOptions.maxSuggestions);
+  if (onSuggestion) suggestions.forEach(onSuggestion);
+
+  const checkedMeta = checked?.meta;
+  const llmCalled = Boolean(checkedMeta?.llmCalled);
+  for (const [reason, count] of Object.entries(checkedMeta?.droppedSuggestions.reasons || {})) {
+    drops[reason] = (drops[reason] || 0) + count;
+  }
+
+  let skippedReason = null;
+  if (plan.toCheck.length === 0) skippedReason = 'unchanged';
+  else if (!llmCalled) skippedReason = checkedMeta.skippedReason || 'api_error';
+
+  return {
+    suggestions,
+    allSuggestions,
+    cacheable: false,
+    paragraphs: plan.paragraphs.map(p => ({
+      fingerprint: p.fingerprint,
+      start: p.start,
+      end: p.end,
+      rechecked: !p.cached
+    })),
+    meta: {
+      llmCalled,
+      skippedReason,
+      partial: Boolean(checkedMeta?.partial),
+      modelUsed: checkedMeta?.modelUsed ?? null,
+      providerUsed: checkedMeta?.providerUsed ?? null,
+      promptVersion: checkOptions.promptVersion,
+      styleGuideVersion: checkOptions.styleGuide.version,
+      cacheHit: false,
+      textLength: text.length,
+      suggestionsCount: suggestions.length,
+      truncated,
+      categories: checkOptions.categories,
+      ruleSuggestionsCount,
+      chunks: checkedMeta?.chunks ?? { total: 0, failed: 0, partial: 0 },
+      droppedSuggestions: summarizeDrops(drops),
+      protectedSpans: describeProtectedSpans(protectedSpans),
+      dictionary: describeDictionaryUsage(checkOptions.dictionary, dictionarySuppressed),
+      incremental: {
+        paragraphs: plan.paragraphs.length,
+        rechecked: plan.toCheck.length,
+        reused: plan.paragraphs.length - plan.toCheck.length,
+        failed: llmCalled ? 0 : plan.toCheck.length
+      }
+    }
+  };
+}
+
+// Respons dari cache teks penuh (null jika tidak ada); maxSuggestions diterapkan ulang
+export async function getCachedResponse(textFingerprint, cacheKey, checkOptions) {
+  const cached = await getCachedResult(cacheKey);
+  incrementCounter('periksakata_cache_lookups_total', { result: cached ? 'hit' : 'miss' });
+  if (!cached) return null;
+  logger.info('Cache hit', { textFingerprint });
+  const limited = applySuggestionLimit(cached.suggestions, checkOptions.maxSuggestions);
+  return {
+    version: '1.0',
+    textFingerprint,
+    suggestions: limited.suggestions,
+    meta: {
+      ...cached.meta,
+      suggestionsCount: limited.suggestions.length,
+      truncated: limited.truncated,
+      llmCalled: false,
+      skippedReason: 'cache_hit',
+      cacheHit: true
+    }
+  };
+}
+
+// Respons dari cache teks penuh untuk source (null jika tidak ada); offset mengacu ke source
+export async function getCachedCheck(source, kompasContext, checkOptions, { format = 'text' } = {}) {
+  const extraction = extractReadableText(source, format);
+  const cacheKey = buildCacheKey(createTextFingerprint(extraction.text), kompasContext, checkOptions);
+  const cached = await getCachedResponse(createTextFingerprint(source), cacheKey, checkOptions);
+  return cached ? mapResponseToSource(cached, extraction) : null;
+}
+
+// Pemeriksaan satu teks lengkap dengan cache teks penuh (tanpa streaming/incremental).
+// Untuk format html/markdown yang diperiksa teks hasil ekstraksi; offset di respons mengacu ke source.
+export async function runCachedCheck(source, kompasContext, checkOptions, { bypassCache = false, format = 'text' } = {}) {
+  if (!bypassCache) {
+    const cached = await getCachedCheck(source, kompasContext, checkOptions, { format });
+    if (cached) return cached;
+  }
+  const extraction = extractReadableText(source, format);
+  const { text } = extraction;
+  const textFingerprint = createTextFingerprint(source);
+  const cacheKey = buildCacheKey(createTextFingerprint(text), kompasContext, checkOptions);
+  const result = await runCheckPipeline(text, kompasContext, checkOptions);
+  const response = {
+    version: '1.0',
+    textFingerprint,
+    suggestions: result.suggestions,
+    meta: result.meta
+  };
+  if (result.cacheable) {
+    await setCachedResult(cacheKey, { suggestions: result.allSuggestions, meta: response.meta });
+  }
+  return mapResponseToSource(response, extraction);
+}
+
+// Petakan offset suggestion/paragraf/protected span dari teks hasil ekstraksi ke source markup
+export function mapResponseToSource(response, extraction) {
+  const mapped = {
+    ...response,
+    suggestions: response.suggestions.map(suggestion => mapToSource(suggestion, extraction)),
+    meta: {
+      ...response.meta,
+      format: extraction.format,
+      ...(response.meta.protectedSpans && { protectedSpans: response.meta.protectedSpans.map(span => mapToSource(span, extraction)) })
+    }
+  };
+  if (response.paragraphs) {
+    mapped.paragraphs = response.paragraphs.map(paragraph => mapToSource(paragraph, extraction));
+  }
+  return mapped;
+}
+
+// Cache key: prompt/model version + fingerprint teks + fingerprint kompasContext & opsi
+export function buildCacheKey(textFingerprint, kompasContext, checkOptions) {
+  const contextFingerprint = createTextFingerprint(
+    JSON.stringify({
+      kompasContext: kompasContext || [],
+      categories: checkOptions.categories,
+      protectedSpanTypes: checkOptions.protectedSpanTypes,
+      styleGuideVersion: checkOptions.styleGuide.version,
+      dictionary: checkOptions.dictionary ? `${checkOptions.dictionary.name}:${checkOptions.dictionary.version}` : null,
+      feedbackVersion: checkOptions.feedback.version
+    })
+  );
+  return `periksakata:cache:${checkOptions.promptVersion}:${textFingerprint}:${contextFingerprint}`;
+}
+
+// Ambil hasil dari cache (delegator, Upstash lalu in-memory)
+async function getCachedResult(cacheKey) {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["GET", cacheKey]]);
+      const raw = results?.[0]?.result;
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      logger.warn('Cache read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  const entry = resultCacheStore.get(cacheKey);
+  if (!entry) return null;
+  if (entry.expiresAt <= Date.now()) {
+    resultCacheStore.delete(cacheKey);
+    return null;
+  }
+  return entry.value;
+}
+
+// Simpan hasil ke cache dengan TTL (delegator, Upstash lalu in-memory)
+export async function setCachedResult(cacheKey, value) {
+  if (isKVConfigured()) {
+    try {
+      await kvPipeline([["SET", cacheKey, JSON.stringify(value), "EX", CONFIG.CACHE.ttlSec]]);
+      return;
+    } catch (err) {
+      logger.warn('Cache write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  // Buang entri tertua jika penuh (Map menjaga urutan insert)
+  if (resultCacheStore.size >= CONFIG.CACHE.maxMemoryEntries) {
+    resultCacheStore.delete(resultCacheStore.keys().next().value);
+  }
+  resultCacheStore.set(cacheKey, { value, expiresAt: Date.now() + CONFIG.CACHE.ttlSec * 1000 });
+}
+
+// Validate request data
+export function validateRequest(data) {
+  if (!data) {
+    return { isValid: false, error: 'Request body is required' };
+  }
+  
+  if (!data.text || typeof data.text !== 'string') {
+    return { isValid: false, error: 'Text field is required and must be a string' };
+  }
+  
+  if (data.text.length === 0) {
+    return { isValid: false, error: 'Text cannot be empty' };
+  }
+  
+  if (data.text.length > CONFIG.MAX_TEXT_LENGTH) {
+    return { 
+      isValid: false, 
+      error: `Text too long. Maximum ${CONFIG.MAX_TEXT_LENGTH} characters allowed` 
+    };
+  }
+  
+  // Validate version
+  if (data.version && data.version !== '1.0') {
+    return { isValid: false, error: 'Unsupported API version' };
+  }
+  
+  // Validate format (opsional): html/markdown diekstrak dulu sebelum diperiksa
+  if (data.format !== undefined && !TEXT_FORMATS.includes(data.format)) {
+    return { isValid: false, error: `Format must be one of: ${TEXT_FORMATS.join(', ')}` };
+  }
+  
+  // Validate incremental (opsional): fingerprint paragraf dari respons sebelumnya
+  if (data.incremental !== undefined) {
+    const fingerprints = data.incremental?.previousParagraphFingerprints;
+    if (!data.incremental || typeof data.incremental !== 'object' || !Array.isArray(fingerprints)) {
+      return { isValid: false, error: 'Incremental must be an object with previousParagraphFingerprints array' };
+    }
+    if (fingerprints.length > 1000 || fingerprints.some(fp => typeof fp !== 'string' || !/^[0-9a-f]{16}$/.test(fp))) {
+      return { isValid: false, error: 'Invalid previousParagraphFingerprints' };
+    }
+  }
+  
+  // Validate source (opsional)
+  if (data.source !== undefined) {
+    if (!data.source || typeof data.source !== 'object' || Array.isArray(data.source)) {
+      return { isValid: false, error: 'Source must be an object' };
+    }
+    if (data.source.kind !== undefined && (typeof data.source.kind !== 'string' || data.source.kind.length > 50)) {
+      return { isValid: false, error: 'Source kind must be a string' };
+    }
+    if (data.source.language !== undefined) {
+      if (typeof data.source.language !== 'string' || !/^id(-ID)?$/i.test(data.source.language)) {
+        return { isValid: false, error: 'Unsupported language. Only Indonesian (id-ID) is supported' };
+      }
+    }
+  }
+  
+  // Validate options (opsional)
+  if (data.options !== undefined) {
+    if (!data.options || typeof data.options !== 'object' || Array.isArray(data.options)) {
+      return { isValid: false, error: 'Options must be an object' };
+    }
+    const { categories, maxSuggestions } = data.options;
+    if (categories !== undefined) {
+      if (!Array.isArray(categories) || categories.length === 0) {
+        return { isValid: false, error: 'Options categories must be a non-empty array' };
+      }
+      const unknown = categories.filter(c => !SUGGESTION_CATEGORIES.includes(c));
+      if (unknown.length > 0) {
+        return {
+          isValid: false,
+          error: `Unknown categories: ${unknown.join(', ')}. Allowed: ${SUGGESTION_CATEGORIES.join(', ')}`
+        };
+      }
+    }
+    if (data.options.dictionary !== undefined && !isValidTeamName(data.options.dictionary)) {
+      return { isValid: false, error: 'Options dictionary must be a team name (letters, numbers, "-" or "_")' };
+    }
+    if (data.options.protectedSpans !== undefined) {
+      const types = data.options.protectedSpans;
+      if (!Array.isArray(types) || types.some(type => !PROTECTED_SPAN_PATTERNS[type])) {
+        return {
+          isValid: false,
+          error: `Options protectedSpans must be an array of: ${Object.keys(PROTECTED_SPAN_PATTERNS).join(', ')}`
+        };
+      }
+    }
+    if (maxSuggestions !== undefined) {
+      if (!Number.isInteger(maxSuggestions) || maxSuggestions < 1 || maxSuggestions > CONFIG.MAX_SUGGESTIONS_LIMIT) {
+        return {
+          isValid: false,
+          error: `Options maxSuggestions must be an integer between 1 and ${CONFIG.MAX_SUGGESTIONS_LIMIT}`
+        };
+      }
+    }
+  }
+  
+  return { isValid: true };
+}
+
+// Opsi pemeriksaan dengan default (panggil setelah validateRequest)
+function resolveCheckOptions(data) {
+  const options = data?.options || {};
+  const categories = Array.isArray(options.categories)
+    ? SUGGESTION_CATEGORIES.filter(c => options.categories.includes(c))
+    : [...SUGGESTION_CATEGORIES];
+  return {
+    categories,
+    maxSuggestions: options.maxSuggestions ?? CONFIG.MAX_SUGGESTIONS_LIMIT,
+    dictionaryName: options.dictionary || null,
+    protectedSpanTypes: Array.isArray(options.protectedSpans)
+      ? [...options.protectedSpans]
+      : CONFIG.PROTECTED_SPAN_TYPES.filter(type => PROTECTED_SPAN_PATTERNS[type])
+  };
+}
+
+// Opsi lengkap untuk pipeline: default + kamus tim + style guide terbaru
+export async function prepareCheckOptions(data) {
+  const checkOptions = resolveCheckOptions(data);
+  // Kamus tim yang diminta: kata di dalamnya tidak pernah dikoreksi
+  checkOptions.dictionary = checkOptions.dictionaryName
+    ? await getDictionary(checkOptions.dictionaryName)
+    : null;
+  // Style guide dipakai untuk rule engine dan prompt
+  checkOptions.styleGuide = await getStyleGuide();
+  checkOptions.systemPrompt = buildSystemPrompt(checkOptions.styleGuide);
+  checkOptions.promptVersion = getPromptVersion(checkOptions.systemPrompt);
+  // Pasangan before→after yang terlalu sering ditolak editor (lib/feedback.js)
+  checkOptions.feedback = await getSuppressedPairs();
+  return checkOptions;
+}
+
+// Batasi jumlah suggestion yang dikembalikan ke client
+export function applySuggestionLimit(suggestions, maxSuggestions) {
+  if (suggestions.length <= maxSuggestions) {
+    return { suggestions, truncated: false };
+  }
+  return { suggestions: suggestions.slice(0, maxSuggestions), truncated: true };
+}
+
+// Escape karakter khusus regex
+function escapeRegExp(str) {
+  return String(str).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Karakter yang bisa menyambung dua bagian kata: tanda hubung ("e-mail") dan apostrof ("Jum'at")
+const WORD_JOINERS = new Set(['-', '\u2010', '\u2011', "'", '\u2019']);
+const HYPHENS = new Set(['-', '\u2010', '\u2011']);
+
+function isWordChar(ch) {
+  return !!ch && /[\p{L}\p{M}\p{N}]/u.test(ch);
+}
+
+// Ambil potongan kata yang menempel di kiri/kanan sebuah tanda penyambung
+function adjacentWordSegment(text, joinerIndex, direction) {
+  let i = joinerIndex + direction;
+  while (i >= 0 && i < text.length && isWordChar(text.charAt(i))) i += direction;
+  return direction < 0 ? text.slice(i + 1, joinerIndex) : text.slice(joinerIndex + 1, i);
+}
+
+// True jika kemunculan menempel ke kata lain lewat tanda hubung/apostrof.
+// Kata ulang ("ijin-ijin") tetap dianggap kata utuh.
+function isJoinedToNeighbour(text, start, end, { checkLeft = true, checkRight = true } = {}) {
+  const word = text.slice(start, end).toLowerCase();
+  const checks = [];
+  if (checkLeft) checks.push({ joinerIndex: start - 1, direction: -1 });
+  if (checkRight) checks.push({ joinerIndex: end, direction: 1 });
+  for (const { joinerIndex, direction } of checks) {
+    const joiner = text.charAt(joinerIndex);
+    if (!WORD_JOINERS.has(joiner) || !isWordChar(text.charAt(joinerIndex + direction))) continue;
+    const segment = adjacentWordSegment(text, joinerIndex, direction).toLowerCase();
+    if (HYPHENS.has(joiner) && segment === word) continue;
+    return true;
+  }
+  return false;
+}
+
+// Cari semua kemunculan "needle" sebagai kata/frasa utuh (Unicode-aware).
+// Batas kata hanya diperiksa pada sisi needle yang berupa huruf/angka, sehingga
+// needle yang diawali/diakhiri tanda baca tetap bisa ditemukan.
+function findWholeWordOccurrences(haystack, needle, { caseInsensitive = false } = {}) {
+  if (!haystack || !needle) return [];
+  const flags = caseInsensitive ? 'giu' : 'gu';
+  const leftGuard = isWordChar(needle.charAt(0)) ? '(?<![\\p{L}\\p{M}\\p{N}])' : '';
+  const rightGuard = isWordChar(needle.charAt(needle.length - 1)) ? '(?![\\p{L}\\p{M}\\p{N}])' : '';
+  const pattern = new RegExp(`${leftGuard}${escapeRegExp(needle)}${rightGuard}`, flags);
+  const occurrences = [];
+  for (const match of haystack.matchAll(pattern)) {
+    const start = match.index;
+    const end = start + match[0].length;
+    if (isJoinedToNeighbour(haystack, start, end, { checkLeft: !!leftGuard, checkRight: !!rightGuard })) continue;
+    occurrences.push({ start, end, text: match[0] });
+  }
+  return occurrences;
+}
+
+// Tambahkan posisi kemunculan (whole-word) ke setiap suggestion.
+// start/end diisi dari kemunculan pertama agar client v1 lama tetap bekerja.
+// Kemunculan di dalam protected span tidak ikut disorot; protectedOnly = true
+// jika semua kemunculan berada di dalam protected span.
+function attachOccurrences(text, suggestions, protectedSpans = []) {
+  return suggestions.map(suggestion => {
+    const found = findWholeWordOccurrences(text, suggestion.before);
+    const occurrences = found
+      .filter(occ => !overlapsAnySpan(occ, protectedSpans))
+      .map(({ start, end }) => ({ start, end }));
+    const withPositions = { ...suggestion, occurrences };
+    if (found.length > 0 && occurrences.length === 0) {
+      withPositions.protectedOnly = true;
+    }
+    if (occurrences.length > 0) {
+      withPositions.start = occurrences[0].start;
+      withPositions.end = occurrences[0].end;
+    }
+    return withPositions;
+  });
+}
+
+// Terapkan suggestion ke teks asli (dipakai /api/apply).
+// Posisi dihitung ulang di server (whole-word, di luar protected span), bukan
+// dari offset kiriman client. Jika dua suggestion beririsan, yang lebih dulu
+// di daftar menang. Perubahan diterapkan dari kanan ke kiri agar offset tetap valid.
+export function applySuggestions(text, suggestions, { protectedSpanTypes = CONFIG.PROTECTED_SPAN_TYPES } = {}) {
+  const located = attachOccurrences(text, suggestions, findProtectedSpans(text, protectedSpanTypes));
+  const edits = [];
+  const skipped = [];
+  for (const suggestion of located) {
+    if (suggestion.before === suggestion.after) {
+      skipped.push({ suggestionId: suggestion.id, reason: 'no_change' });
+      continue;
+    }
+    if (suggestion.occurrences.length === 0) {
+      skipped.push({ suggestionId: suggestion.id, reason: suggestion.protectedOnly ? 'protected' : 'not_found' });
+      continue;
+    }
+    for (const { start, end } of suggestion.occurrences) {
+      if (edits.some(edit => start < edit.end && end > edit.start)) {
+        skipped.push({ suggestionId: suggestion.id, reason: 'overlap', start, end });
+        continue;
+      }
+      edits.push({ suggestion, start, end });
+    }
+  }
+  
+  let correctedText = text;
+  for (const { suggestion, start, end } of [...edits].sort((a, b) => b.start - a.start)) {
+    correctedText = correctedText.slice(0, start) + suggestion.after + correctedText.slice(end);
+  }
+  
+  // Diff terurut dari kiri: posisi di teks asli (start/end) dan di teks hasil (newStart/newEnd)
+  let shift = 0;
+  const changes = edits
+    .sort((a, b) => a.start - b.start)
+    .map(({ suggestion, start, end }) => {
+      const change = {
+        suggestionId: suggestion.id,
+        category: suggestion.category,
+        start,
+        end,
+        before: text.slice(start, end),
+        after: suggestion.after,
+        newStart: start + shift,
+        newEnd: start + shift + suggestion.after.length
+      };
+      shift += suggestion.after.length - (end - start);
+      return change;
+    });
+  
+  return { text: correctedText, changes, skipped };
+}
+
+// Deteksi protected span sesuai jenis yang aktif: [{ type, start, end }] terurut
+function findProtectedSpans(text, types = CONFIG.PROTECTED_SPAN_TYPES) {
+  const spans = [];
+  for (const type of types) {
+    const pattern = PROTECTED_SPAN_PATTERNS[type];
+    if (!pattern) continue;
+    for (const match of text.matchAll(pattern)) {
+      if (match[0].length === 0) continue;
+      spans.push({ type, start: match.index, end: match.index + match[0].length });
+    }
+  }
+  return spans.sort((a, b) => a.start - b.start || b.end - a.end);
+}
+
+// True jika rentang [start, end) beririsan dengan salah satu span
+function overlapsAnySpan({ start, end }, spans) {
+  return spans.some(span => start < span.end && end > span.start);
+}
+
+// Ringkasan pemakaian kamus tim untuk meta
+function describeDictionaryUsage(dictionary, suppressed) {
+  if (!dictionary) return null;
+  return { name: dictionary.name, suppressed };
+}
+
+// Ringkasan protected span untuk meta
+function describeProtectedSpans(spans) {
+  return spans.map(({ type, start, end }) => ({ type, start, end }));
+}
+
+// Samakan kapitalisasi pengganti dengan kata yang ditemukan (IJIN→IZIN, Ijin→Izin)
+function matchCase(source, replacement) {
+  if (source.length > 1 && source === source.toUpperCase() && source !== source.toLowerCase()) {
+    return replacement.toUpperCase();
+  }
+  const first = source.charAt(0);
+  if (first && first === first.toUpperCase() && first !== first.toLowerCase()) {
+    return replacement.charAt(0).toUpperCase() + replacement.slice(1);
+  }
+  return replacement;
+}
+
+// Rule engine deterministik untuk kata baku & nama negara Kompas.
+// Menghasilkan suggestion dengan bentuk yang sama seperti checkTextWithOpenAI.
+function checkTextWithKompasRules(text, kompasContext = [], rules = []) {
+  // Kata yang sudah dikoreksi client (kompasContext) tidak dilaporkan ulang
+  const alreadyHandled = new Set(
+    (Array.isArray(kompasContext) ? kompasContext : [])
+      .map(issue => String(issue?.word ?? '').toLowerCase())
+      .filter(Boolean)
+  );
+
+  const suggestions = [];
+  const seen = new Set();
+
+  for (const rule of rules) {
+    const occurrences = findWholeWordOccurrences(text, rule.from, { caseInsensitive: true });
+    for (const occ of occurrences) {
+      const before = occ.text;
+      // Nama negara adalah nama diri: hanya cocok jika diawali huruf kapital
+      if (rule.type === 'negara' && before.charAt(0) !== before.charAt(0).toUpperCase()) continue;
+      if (alreadyHandled.has(before.toLowerCase())) continue;
+      if (seen.has(before)) continue;
+      seen.add(before);
+
+      const after = matchCase(before, rule.to);
+      const message = formatRuleMessage(rule.message || defaultRuleMessage(rule.type), before, after);
+
+      suggestions.push({
+        category: 'baku',
+        severity: 'medium',
+        before,
+        after,
+        message,
+        id: `rule-${rule.id}-${suggestions.length}`
+      });
+    }
+  }
+
+  return suggestions;
+}
+
+// Penggabung suggestion bertahap (rule engine lalu LLM per chunk) tanpa duplikat.
+// Saran dari rule engine diutamakan jika LLM menyarankan 'before' yang sama;
+// pasangan before+after yang sama hanya diambil sekali, saran yang 'before'-nya
+// ada di kamus tim disembunyikan, dan saran yang hanya muncul di dalam protected
+// span dibuang. add() mengembalikan suggestion yang
+// baru diterima, sudah lengkap dengan occurrences.
+function createSuggestionMerger(text, { protectedSpans = [], dictionary = null, suppressedPairs = null, onDrop = null, onSuppress = null } = {}) {
+  const ruleBefores = new Set();
+  const seen = new Set();
+  const accepted = [];
+  return {
+    add(list, { fromRules = false } = {}) {
+      const added = [];
+      for (const suggestion of list) {
+        if (dictionary && dictionary.words.has(normalizeDictionaryWord(suggestion.before))) {
+          logger.debug('Suggestion suppressed by dictionary', { dictionary: dictionary.name, before: suggestion.before });
+          if (onSuppress) onSuppress(suggestion);
+          continue;
+        }
+        // Feedback editor hanya menyembunyikan hasil LLM; rule Kompas diubah lewat style guide
+        if (!fromRules && suppressedPairs?.has(feedbackPairId(suggestion.before, suggestion.after))) {
+          logger.debug('Suggestion suppressed by editor feedback', { before: suggestion.before, after: suggestion.after });
+          if (onDrop) onDrop('feedback_rejected');
+          continue;
+        }
+        if (!fromRules && ruleBefores.has(suggestion.before)) {
+          logger.debug('LLM suggestion covered by Kompas rule', { before: suggestion.before, after: suggestion.after });
+          continue;
+        }
+        const key = `${suggestion.before}|||${suggestion.after}`;
+        if (seen.has(key)) {
+          logger.debug('Removing duplicate suggestion', { before: suggestion.before, after: suggestion.after });
+          continue;
+        }
+        const [withPositions] = attachOccurrences(text, [suggestion], protectedSpans);
+        if (withPositions.protectedOnly) {
+          logger.debug('Suggestion only inside protected span', { before: suggestion.before });
+          if (onDrop) onDrop('protected_span');
+          continue;
+        }
+        delete withPositions.protectedOnly;
+        seen.add(key);
+        if (fromRules) ruleBefores.add(suggestion.before);
+        accepted.push(withPositions);
+        added.push(withPositions);
+      }
+      return added;
+    },
+    get suggestions() {
+      return accepted;
+    }
+  };
+}
+
+// Pecah teks menjadi potongan <= maxLen dengan prioritas batas paragraf,
+// lalu akhir kalimat, lalu spasi. Setiap chunk adalah slice dari teks asli
+// sehingga offset-nya tetap akurat: [{ text, start }]
+function splitTextIntoChunks(text, maxLen = CONFIG.CHUNKING.maxChunkLength) {
+  const chunks = [];
+  let pos = 0;
+  while (text.length - pos > maxLen) {
+    const windowText = text.slice(pos, pos + maxLen);
+    let cut = lastBoundaryEnd(windowText, /\n[^\S\n]*\n\s*/g);
+    if (cut <= 0) cut = lastBoundaryEnd(windowText, /[.!?…]+["'”’)]*\s+/g);
+    if (cut <= 0) cut = lastBoundaryEnd(windowText, /\s+/g);
+    if (cut <= 0) cut = maxLen;
+    chunks.push({ text: text.slice(pos, pos + cut), start: pos });
+    pos += cut;
+  }
+  if (pos < text.length) {
+    chunks.push({ text: text.slice(pos), start: pos });
+  }
+  return chunks;
+}
+
+// Jumlah panggilan LLM untuk memeriksa teks (satu per chunk; 0 untuk teks kosong).
+// Dipakai untuk menghitung slot rate limit & kuota sebelum pipeline dijalankan.
+export function countLLMCalls(text) {
+  return text.length > 0 ? splitTextIntoChunks(text).length : 0;
+}
+
+// Posisi akhir dari match terakhir pola batas di dalam str (0 jika tidak ada)
+function lastBoundaryEnd(str, pattern) {
+  let last = 0;
+  for (const match of str.matchAll(pattern)) {
+    last = match.index + match[0].length;
+  }
+  return last;
+}
+
+// Jalankan fn untuk setiap item dengan jumlah eksekusi paralel terbatas
+export async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const workers = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = { status: 'fulfilled', value: await fn(items[index], index) };
+      } catch (reason) {
+        results[index] = { status: 'rejected', reason };
+      }
+    }
+  });
+  await Promise.all(workers);
+  return results;
+}
+
+// Periksa teks per chunk secara paralel lalu gabungkan hasilnya.
+// Batas 30 saran berlaku per chunk; posisi dihitung ulang terhadap teks penuh.
+async function checkTextInChunks(text, kompasContext = [], stats = null, checkOptions = {}, { onChunkResult = null } = {}) {
+  const chunks = splitTextIntoChunks(text);
+  if (chunks.length > 1) {
+    logger.info('Text split into chunks', { chunks: chunks.length });
+  }
+
+  // Hasil chunk diteruskan ke onChunkResult sesuai urutan chunk, begitu chunk
+  // tersebut dan semua chunk sebelumnya selesai
+  const settled = new Array(chunks.length);
+  let nextToDeliver = 0;
+  const deliverInOrder = () => {
+    while (nextToDeliver < chunks.length && settled[nextToDeliver]) {
+      const result = settled[nextToDeliver];
+      if (result.status === 'fulfilled' && onChunkResult) {
+        onChunkResult(result.value, nextToDeliver);
+      }
+      nextToDeliver++;
+    }
+  };
+
+  const results = await mapWithConcurrency(chunks, CONFIG.CHUNKING.concurrency, async (chunk, index) => {
+    try {
+      const suggestions = await checkTextWithOpenAI(chunk.text, kompasContext, stats, checkOptions);
+      // id dibuat unik per chunk agar tidak bertabrakan setelah digabung
+      const value = chunks.length > 1
+        ? suggestions.map(suggestion => ({ ...suggestion, id: `${suggestion.id}-c${index}` }))
+        : suggestions;
+      settled[index] = { status: 'fulfilled', value };
+      return value;
+    } catch (err) {
+      settled[index] = { status: 'rejected', reason: err };
+      throw err;
+    } finally {
+      deliverInOrder();
+    }
+  });
+
+  const failed = results.filter(r => r.status === 'rejected');
+  if (failed.length === results.length) {
+    throw failed[0].reason;
+  }
+  failed.forEach(r => logger.error('LLM call failed for chunk', { error: r.reason }));
+
+  const merged = results
+    .filter(result => result.status === 'fulfilled')
+    .flatMap(result => result.value);
+
+  return {
+    suggestions: deduplicateSuggestions(merged),
+    chunkCount: chunks.length,
+    failedChunks: failed.length
+  };
+}
+
+// Call LLM provider chain (NVIDIA sebagai default)
+async function checkTextWithOpenAI(text, kompasContext = [], stats = null, checkOptions = {}) {
+  const dropStats = stats?.drops ?? null;
+  const categories = checkOptions.categories || SUGGESTION_CATEGORIES;
+  // Build system prompt with Kompas context injection
+  let systemPrompt = checkOptions.systemPrompt;
+  
+  if (kompasContext && kompasContext.length > 0) {
+    systemPrompt += `\n\n⚠️ PENTING - Aturan Gaya Kompas (SUDAH DIKOREKSI):\nKata-kata berikut SUDAH diperbaiki sesuai style guide Kompas. JANGAN koreksi ulang:\n`;
+    kompasContext.forEach(issue => {
+      systemPrompt += `- "${issue.word}" → "${issue.correction}" (${issue.message})\n`;
+    });
+    systemPrompt += `\nFokus HANYA pada kesalahan LAIN yang belum tercakup di atas.`;
+  }
+  
+  const userPrompt = `Periksa teks berikut dan temukan SEMUA kesalahan ejaan, typo, EYD, dan konteks:
+
+"${text}"
+
+Cari dengan teliti:
+${categories.map(c => CATEGORY_CHECKLIST[c]).join('\n')}
+${categories.length < SUGGESTION_CATEGORIES.length ? `\nKATEGORI YANG DIPERIKSA HANYA: ${categories.join(', ')}. JANGAN keluarkan saran untuk kategori lain.\n` : ''}
+ATURAN PENTING:
+- MAKSIMAL 30 saran untuk menghindari respons terpotong
+- Prioritaskan kesalahan yang paling mencolok
+- JANGAN koreksi huruf kapital pada awal kalimat
+- JANGAN mengubah kapitalisasi nama orang/tempat/lembaga, akronim/brand, dan format tanggal yang benar
+- JANGAN mengoreksi format byline "NAMA KOTA, KOMPAS" di awal paragraf/kalimat (contoh: "YOGYAKARTA, KOMPAS —", "JAKARTA, KOMPAS:", "Bandung, KOMPAS,")
+- JANGAN menyentuh kredit foto "KOMPAS/NAMA" dan jangan menambah spasi di sekitar "/".
+- DILARANG mengeluarkan saran yang nilai 'after' identik dengan 'before' (jika tidak ada perubahan nyata, abaikan)
+- HANYA kembalikan saran jika nilai 'before' benar-benar muncul persis (exact substring, case sensitive) di dalam teks segmen yang diberikan. Jika tidak ada, JANGAN keluarkan saran tersebut
+
+PENTING - FORMAT SARAN:
+- Field 'before' HARUS kata/frasa yang persis muncul di teks (CASE SENSITIVE satu contoh)
+- Pertahankan kapitalisasi dari salah satu contoh di teks: jika ada 'Sya' dan 'sya', pilih salah satu (misal 'Sya')
+- Jangan sertakan spasi di awal/akhir kecuali memang bagian dari kesalahan
+- TIDAK PERLU calculate posisi (start/end) - server akan mencari otomatis
+- Fokus pada identifikasi kata yang salah dan koreksinya
+
+Contoh untuk "Ini adalah demnstrasi yang demnstrasi sekali":
+- before: "demnstrasi" (kata yang salah, muncul 2x)
+- after: "demonstrasi"
+- Return HANYA 1 suggestion (server akan mencari 2 posisi)
+
+Contoh untuk "Sya mkn ayam. sya juga mkn nasi":
+- Suggestion 1: before: "Sya", after: "Saya" (ambil case dari salah satu kemunculan)
+- Suggestion 2: before: "mkn", after: "makan" (muncul 2x, return 1x saja)
+
+Contoh untuk "Makanan ini enk sekali. Rasanya enk":
+- before: "enk" (kata singkatan, muncul 2x)
+- after: "enak"
+- Return HANYA 1 suggestion
+
+Kembalikan JSON dengan format yang tepat, fokus pada unique errors.`
+  
+  const { content, provider } = await callChatCompletion([
+    {
+      role: 'system',
+      content: systemPrompt
+    },
+    {
+      role: 'user',
+      content: userPrompt
+    }
+  ], { temperature: 0.1, max_tokens: 3500, responseSchema: LLM_RESPONSE_SCHEMA });
+  recordProviderUsed(stats, provider);
+  
+  // Parse with repair and strict-retry fallback
+  let parsed;
+  try {
+    const result = tryParseJSONWithRepair(content);
+    parsed = result.value;
+    if (result.partial) recordPartialResponse(stats, provider, parsed);
+  } catch (parseErr) {
+    incrementCounter('periksakata_json_parse_failures_total', { stage: 'primary', provider: provider.name, model: provider.model });
+    logger.warn('Primary JSON parse failed, attempting strict retry', { error: parseErr });
+    incrementCounter('periksakata_strict_retries_total');
+    const retry = await strictRetryJSON(text, stats, checkOptions.systemPrompt);
+    const retryRaw = retry?.content;
+    if (!retryRaw) {
+      logger.error('Strict retry returned empty content');
+      throw new LLMResponseParseError('Strict retry returned no content');
+    }
+    try {
+      const result = tryParseJSONWithRepair(retryRaw);
+      parsed = result.value;
+      if (result.partial) recordPartialResponse(stats, retry.provider, parsed);
+    } catch (retryErr) {
+      incrementCounter('periksakata_json_parse_failures_total', { stage: 'retry', provider: retry.provider.name, model: retry.provider.model });
+      logger.error('Strict retry JSON parse failed', { error: retryErr });
+      logger.debug('Raw LLM content (primary)', { content });
+      logger.debug('Raw LLM content (retry)', { content: retryRaw });
+      throw new LLMResponseParseError('Unable to parse LLM response (even after strict retry)');
+    }
+  }
+
+  // Validasi setiap item terhadap skema suggestion; pelanggaran dihitung per alasan di meta.droppedSuggestions
+  const rawSuggestions = Array.isArray(parsed?.suggestions) ? parsed.suggestions : [];
+  let suggestions = rawSuggestions.filter(suggestion => {
+    const errors = validateSchema(suggestion, LLM_SUGGESTION_SCHEMA);
+    if (errors.length === 0) return true;
+    const reason = schemaDropReason(errors);
+    logger.debug('Suggestion violates schema', { reason, errors });
+    recordDrop(dropStats, reason);
+    return false;
+  });
+  
+  // Deduplication: remove duplicate suggestions (same before + after)
+  suggestions = deduplicateSuggestions(suggestions);
+  logger.debug('Suggestions after dedup', { count: suggestions.length });
+  
+  const processedSuggestions = [];
+
+  for (let i = 0; i < suggestions.length; i++) {
+    const suggestion = suggestions[i];
+    
+    if (!categories.includes(suggestion.category)) {
+      logger.debug('Category not requested', { category: suggestion.category });
+      recordDrop(dropStats, 'category_not_requested');
+      continue;
+    }
+
+    const { before, after } = suggestion;
+
+    // Sanitasi field string (tipe sudah dijamin skema)
+    const sanitizedMessage = sanitizeString(suggestion.message, 200);
+    const afterVal = sanitizeString(after, 100);
+    const beforeVal = sanitizeString(before, 100);
+
+    // Validate before exists in text (at least once)
+    if (!beforeVal || !text.includes(beforeVal)) {
+      logger.debug('Before text not found in original text', { before });
+      recordDrop(dropStats, 'not_found');
+      continue;
+    }
+
+    // Validate before muncul sebagai kata/frasa utuh, bukan potongan kata lain ("sya" dalam "masyarakat")
+    if (findWholeWordOccurrences(text, beforeVal).length === 0) {
+      logger.debug('Before text only found inside other words', { before: beforeVal });
+      recordDrop(dropStats, 'not_whole_word');
+      continue;
+    }
+
+    // Guards: abaikan saran yang tidak mengubah apa pun
+    const normalizeNFC = (s) => (s ?? '').normalize('NFC');
+    
+    // 1) after kosong/whitespace-only → skip
+    if (!afterVal || afterVal.trim().length === 0) {
+      logger.debug('Empty/whitespace-only after skipped', { before: beforeVal, after: afterVal });
+      recordDrop(dropStats, 'empty_after');
+      continue;
+    }
+    
+    // 2) Sama persis → skip
+    if (afterVal === beforeVal) {
+      logger.debug('No-op suggestion skipped (exact equal)', { before: beforeVal, after: afterVal });
+      recordDrop(dropStats, 'no_op');
+      continue;
+    }
+    
+    // 3) Sama jika di-trim → skip
+    if (afterVal.trim() === beforeVal.trim()) {
+      logger.debug('No-op suggestion skipped (trim equal)', { before: beforeVal, after: afterVal });
+      recordDrop(dropStats, 'no_op');
+      continue;
+    }
+    
+    // 4) Sama setelah normalisasi NFC → skip
+    if (normalizeNFC(afterVal) === normalizeNFC(beforeVal)) {
+      logger.debug('No-op suggestion skipped (NFC equal)', { before: beforeVal, after: afterVal });
+      recordDrop(dropStats, 'no_op');
+      continue;
+    }
+
+    const fixed = {
+      category: suggestion.category,
+      severity: suggestion.severity || 'medium',
+      before: beforeVal,
+      after: afterVal,
+      message: sanitizedMessage,
+      id: suggestion.id || `sg-${Date.now()}-${i}`
+    };
+
+    processedSuggestions.push(fixed);
+
+    // Batasi maksimal 30 untuk keamanan
+    if (processedSuggestions.length >= 30) break;
+  }
+  
+  return processedSuggestions;
+}
+
+// Re-check incremental dengan paragraf lebih banyak dari CONFIG.INCREMENTAL.maxParagraphs
+export class TooManyParagraphsError extends Error {
+  constructor(maxParagraphs) {
+    super(`Too many paragraphs for incremental check. Maximum ${maxParagraphs} paragraphs`);
+    this.name = 'TooManyParagraphsError';
+    this.maxParagraphs = maxParagraphs;
+  }
+}
+
+// Respons LLM tidak bisa di-parse (juga setelah strict retry); chunk dihitung gagal
+class LLMResponseParseError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'LLMResponseParseError';
+  }
+}
+
+// Catat respons LLM terpotong yang hanya dipulihkan sebagian
+function recordPartialResponse(stats, provider, parsed) {
+  incrementCounter('periksakata_partial_responses_total', { provider: provider.name, model: provider.model });
+  logger.warn('LLM response truncated, recovered complete suggestions only', {
+    provider: provider.name,
+    recovered: parsed.suggestions.length
+  });
+  if (stats) stats.partialResponses++;
+}
+
+// Catat suggestion LLM yang dibuang beserta alasannya
+function recordDrop(dropStats, reason) {
+  incrementCounter('periksakata_suggestions_dropped_total', { reason });
+  if (!dropStats) return;
+  dropStats[reason] = (dropStats[reason] || 0) + 1;
+}
+
+// Ringkasan untuk meta.droppedSuggestions: { total, reasons: { not_whole_word: 2, ... } }
+function summarizeDrops(dropStats) {
+  const reasons = { ...(dropStats || {}) };
+  const total = Object.values(reasons).reduce((sum, n) => sum + n, 0);
+  return { total, reasons };
+}
+
+/**
+ * Deduplicate suggestions - remove duplicates with same before + after
+ * Safety net if LLM still returns duplicates
+ */
+function deduplicateSuggestions(suggestions) {
+  const seen = new Map();
+  
+  return suggestions.filter(suggestion => {
+    const key = `${suggestion.before}|||${suggestion.after}`;
+    
+    if (seen.has(key)) {
+      logger.debug('Removing duplicate suggestion', { before: suggestion.before, after: suggestion.after });
+      return false;
+    }
+    
+    seen.set(key, true);
+    return true;
+  });
+}
+
+// Alasan drop dari pelanggaran skema pertama: field wajib hilang → missing_fields,
+// nilai field tidak valid → invalid_<field> (invalid_category, invalid_severity, ...)
+function schemaDropReason(errors) {
+  const [first] = errors;
+  if (first.keyword === 'required') return 'missing_fields';
+  return first.path ? `invalid_${first.path}` : 'invalid_shape';
+}
+
+// Parsing JSON dari LLM secara toleran: code fence, trailing comma, kutip tunggal,
+// dan array suggestions yang terpotong karena max_tokens.
+// Mengembalikan { value, partial }; partial = true jika respons terpotong dan
+// hanya objek suggestion yang lengkap yang bisa dipulihkan.
+function tryParseJSONWithRepair(content) {
+  // Coba parse langsung
+  try {
+    return { value: JSON.parse(content), partial: false };
+  } catch (_) {
+    // Lanjut ke perbaikan ringan
+  }
+  
+  const stripped = String(content ?? '').replace(/```(?:json)?[ \t]*/gi, '');
+  const block = extractJSONBlock(stripped);
+  if (block) {
+    const value = parseLooseJSON(block);
+    if (value !== undefined) return { value, partial: false };
+  }
+  
+  // Respons terpotong: ambil setiap objek suggestion yang sudah lengkap
+  const recovered = recoverSuggestionsArray(stripped);
+  if (recovered) {
+    return { value: { suggestions: recovered.suggestions }, partial: recovered.partial };
+  }
+  
+  // Gagal total
+  throw new Error('Unable to parse JSON (even after repair)');
+}
+
+// Ekstrak blok JSON terluar dengan pencocokan kurung kurawal (kurung di dalam string diabaikan)
+function extractJSONBlock(str) {
+  if (!str) return null;
+  const start = str.indexOf('{');
+  if (start === -1) return null;
+  const end = findBlockEnd(str, start);
+  return end === -1 ? null : str.slice(start, end + 1);
+}
+
+// Posisi kurung penutup untuk "{" atau "[" di posisi start; -1 jika terpotong
+function findBlockEnd(str, start) {
+  let depth = 0;
+  let quote = null;
+  for (let i = start; i < str.length; i++) {
+    const ch = str[i];
+    if (quote) {
+      if (ch === '\\') i++;
+      else if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '{' || ch === '[') {
+      depth++;
+    } else if (ch === '}' || ch === ']') {
+      depth--;
+      if (depth === 0) return i;
+    }
+  }
+  return -1;
+}
+
+// JSON.parse yang menerima trailing comma dan string berkutip tunggal; undefined jika gagal
+function parseLooseJSON(str) {
+  try {
+    return JSON.parse(str);
+  } catch (_) {
+    // Normalisasi lalu coba lagi
+  }
+  try {
+    return JSON.parse(normalizeLooseJSON(str));
+  } catch (_) {
+    return undefined;
+  }
+}
+
+// Ubah string berkutip tunggal ke kutip ganda dan buang trailing comma (di luar string)
+function normalizeLooseJSON(str) {
+  const closingAhead = /\s*[}\]]/y;
+  let out = '';
+  let quote = null;
+  for (let i = 0; i < str.length; i++) {
+    const ch = str[i];
+    if (quote) {
+      if (ch === '\\') {
+        const escaped = str[i + 1] ?? '';
+        out += quote === "'" && escaped === "'" ? "'" : ch + escaped;
+        i++;
+      } else if (ch === quote) {
+        out += '"';
+        quote = null;
+      } else if (ch === '"') {
+        out += '\\"';
+      } else if (ch === '\n') {
+        out += '\\n';
+      } else {
+        out += ch;
+      }
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      quote = ch;
+      out += '"';
+      continue;
+    }
+    if (ch === ',') {
+      closingAhead.lastIndex = i + 1;
+      if (closingAhead.test(str)) continue;
+    }
+    out += ch;
+  }
+  return out;
+}
+
+// Pulihkan objek lengkap dari array "suggestions" (juga jika array terpotong).
+// null jika array suggestions tidak ditemukan sama sekali.
+function recoverSuggestionsArray(str) {
+  const key = /["']suggestions["']\s*:\s*\[/.exec(str);
+  if (!key) return null;
+  const suggestions = [];
+  let i = key.index + key[0].length;
+  while (i < str.length) {
+    const ch = str[i];
+    if (/[\s,]/.test(ch)) {
+      i++;
+      continue;
+    }
+    if (ch === ']') return { suggestions, partial: false };
+    if (ch !== '{') break;
+    const end = findBlockEnd(str, i);
+    if (end === -1) break;
+    const value = parseLooseJSON(str.slice(i, end + 1));
+    if (value && typeof value === 'object') suggestions.push(value);
+    i = end + 1;
+  }
+  return { suggestions, partial: true };
+}
+
+// Retry ketat untuk meminta JSON valid saja; mengembalikan { content, provider } atau null
+async function strictRetryJSON(text, stats = null, systemPrompt) {
+  try {
+    const { content, provider } = await callChatCompletion([
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: `${text}\n\nPENTING: Keluarkan JSON VALID SAJA sesuai skema (tanpa teks lain). Jika ragu, kembalikan {"suggestions": []}.` }
+    ], { temperature: 0, max_tokens: 3500, responseSchema: LLM_RESPONSE_SCHEMA });
+    recordProviderUsed(stats, provider);
+    return content ? { content, provider } : null;
+  } catch (e) {
+    logger.error('Strict retry request failed', { error: e });
+    return null;
+  }
+}
+
+// Metric suggestion yang dikirim ke client, per kategori
+export function recordReturnedSuggestions(suggestions) {
+  for (const suggestion of suggestions) {
+    incrementCounter('periksakata_suggestions_returned_total', { category: suggestion.category });
+  }
+}
+
+// Statistik yang dikumpulkan selama pipeline pemeriksaan
+function createPipelineStats() {
+  return { drops: {}, providersUsed: new Map(), partialResponses: 0 };
+}
+
+// Catat provider yang benar-benar menjawab
+function recordProviderUsed(stats, provider) {
+  if (!stats || !provider) return;
+  stats.providersUsed.set(provider.name, provider.model);
+}
+
+// meta.modelUsed: model yang menjawab (dipisah koma jika chunk dijawab provider berbeda)
+function describeModelsUsed(stats) {
+  const models = [...new Set(stats.providersUsed.values())];
+  return models.length > 0 ? models.join(', ') : null;
+}
+
+// meta.providerUsed: nama provider yang menjawab
+function describeProvidersUsed(stats) {
+  const names = [...stats.providersUsed.keys()];
+  return names.length > 0 ? names.join(', ') : null;
+}
+
+// Sanitasi string: hapus karakter kontrol, trimming, dan batasi panjang
+function sanitizeString(input, maxLen) {
+  try {
+    let s = String(input ?? '');
+    // Hapus karakter kontrol non-whitespace standar
+    s = s.replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F\u007F]/g, ' ');
+    s = s.replace(/\s+/g, ' ').trim();
+    if (typeof maxLen === 'number' && maxLen > 0 && s.length > maxLen) {
+      s = s.slice(0, maxLen);
+    }
+    return s;
+  } catch {
+    return '';
+  }
+}
+
+// Cleanup expired cache entries periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [cacheKey, entry] of resultCacheStore.entries()) {
+    if (entry.expiresAt <= now) {
+      resultCacheStore.delete(cacheKey);
+    }
+  }
+}, 60000);
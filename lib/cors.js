@@ -0,0 +1,82 @@
+// CORS untuk semua endpoint: preflight, allowlist origin dari env, dan mode blokir.
+//
+// CORS_ALLOWED_ORIGINS: daftar origin dipisah koma. "*" cocok dengan tepat satu segmen
+// (label subdomain, port, atau ID ekstensi), contoh:
+//   chrome-extension://abcdefghijklmnop,https://*.kompas.id,http://localhost:*
+// CORS_MODE: "report" (default, hanya log) atau "enforce" (origin lain ditolak 403).
+
+import { logger } from './logger.js';
+
+const DEFAULT_ALLOWED_ORIGINS = [
+  'chrome-extension://*',
+  'moz-extension://*',
+  'http://localhost',
+  'http://localhost:*',
+  'http://127.0.0.1',
+  'http://127.0.0.1:*'
+];
+
+const CORS_CONFIG = {
+  allowedOrigins: (process.env.CORS_ALLOWED_ORIGINS
+    ? process.env.CORS_ALLOWED_ORIGINS.split(',')
+    : DEFAULT_ALLOWED_ORIGINS)
+    .map(origin => origin.trim().replace(/\/$/, ''))
+    .filter(Boolean),
+  mode: process.env.CORS_MODE === 'enforce' ? 'enforce' : 'report',
+  allowedHeaders: 'Content-Type, Authorization, X-API-Key, X-Request-Id',
+  exposedHeaders: 'X-Request-Id, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset, Retry-After',
+  maxAgeSec: 86400
+};
+
+// Pola allowlist dicocokkan utuh (bukan substring), sehingga "localhost.evil.com" tidak lolos
+const ALLOWED_ORIGIN_PATTERNS = CORS_CONFIG.allowedOrigins.map(pattern =>
+  new RegExp(`^${pattern.split('*').map(escapeRegExp).join('[^/:.]+')}$`, 'i')
+);
+
+function escapeRegExp(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Request tanpa Origin (server-to-server, curl) tidak terkena CORS
+export function isAllowedOrigin(origin) {
+  if (!origin) return true;
+  return ALLOWED_ORIGIN_PATTERNS.some(pattern => pattern.test(origin));
+}
+
+// Pasang header CORS dan tangani preflight/origin yang ditolak.
+// Mengembalikan true jika respons sudah dikirim dan handler harus berhenti.
+export function handleCors(req, res, methods) {
+  const origin = req.headers.origin || '';
+  const allowed = isAllowedOrigin(origin);
+  
+  res.setHeader('Vary', 'Origin');
+  if (origin && allowed) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Access-Control-Expose-Headers', CORS_CONFIG.exposedHeaders);
+  }
+  
+  if (!allowed) {
+    if (CORS_CONFIG.mode === 'enforce') {
+      logger.warn('Blocked request from unauthorized origin', { origin });
+      res.status(403).json({
+        error: 'Forbidden',
+        message: 'Origin not allowed'
+      });
+      return true;
+    }
+    logger.warn('Request from unauthorized origin', { origin });
+  }
+  
+  // Handle CORS preflight
+  if (req.method === 'OPTIONS') {
+    if (allowed) {
+      res.setHeader('Access-Control-Allow-Methods', [...methods, 'OPTIONS'].join(', '));
+      res.setHeader('Access-Control-Allow-Headers', CORS_CONFIG.allowedHeaders);
+      res.setHeader('Access-Control-Max-Age', String(CORS_CONFIG.maxAgeSec));
+    }
+    res.status(204).end();
+    return true;
+  }
+  
+  return false;
+}
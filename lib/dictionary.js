@@ -0,0 +1,99 @@
+// Kamus kustom per tim: nama, istilah daerah, dan jargon yang tidak boleh dikoreksi
+// Disimpan di Upstash KV (Redis SET per tim) dengan fallback in-memory
+
+import { createHash } from 'crypto';
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+
+// Dictionary storage (fallback jika Upstash tidak tersedia): team -> Set kata
+const dictionaryStore = new Map();
+
+export const DICTIONARY_LIMITS = {
+  maxWordsPerRequest: 500,
+  maxWordLength: 100
+};
+
+// Nama tim: huruf/angka, boleh '-' atau '_', maksimal 50 karakter
+export function isValidTeamName(team) {
+  return typeof team === 'string' && /^[a-z0-9][a-z0-9_-]{0,49}$/i.test(team);
+}
+
+// Normalisasi kata kamus agar pencocokan tidak peka kapitalisasi
+export function normalizeDictionaryWord(word) {
+  return String(word ?? '').normalize('NFC').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+function dictionaryKey(team) {
+  return `periksakata:dict:${team.toLowerCase()}`;
+}
+
+function memorySet(team) {
+  const key = team.toLowerCase();
+  if (!dictionaryStore.has(key)) dictionaryStore.set(key, new Set());
+  return dictionaryStore.get(key);
+}
+
+// Daftar kata dalam kamus tim (terurut)
+export async function listDictionaryWords(team) {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["SMEMBERS", dictionaryKey(team)]]);
+      const members = Array.isArray(results?.[0]?.result) ? results[0].result : [];
+      return members.sort();
+    } catch (err) {
+      logger.warn('Dictionary read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return [...memorySet(team)].sort();
+}
+
+// Tambah kata ke kamus tim; mengembalikan jumlah kata setelah ditambah
+export async function addDictionaryWords(team, words) {
+  const normalized = [...new Set(words.map(normalizeDictionaryWord).filter(Boolean))];
+  if (normalized.length === 0) return (await listDictionaryWords(team)).length;
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([
+        ["SADD", dictionaryKey(team), ...normalized],
+        ["SCARD", dictionaryKey(team)]
+      ]);
+      return Number(results?.[1]?.result ?? 0);
+    } catch (err) {
+      logger.warn('Dictionary write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  const set = memorySet(team);
+  normalized.forEach(word => set.add(word));
+  return set.size;
+}
+
+// Hapus kata dari kamus tim; mengembalikan jumlah kata setelah dihapus
+export async function removeDictionaryWords(team, words) {
+  const normalized = [...new Set(words.map(normalizeDictionaryWord).filter(Boolean))];
+  if (normalized.length === 0) return (await listDictionaryWords(team)).length;
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([
+        ["SREM", dictionaryKey(team), ...normalized],
+        ["SCARD", dictionaryKey(team)]
+      ]);
+      return Number(results?.[1]?.result ?? 0);
+    } catch (err) {
+      logger.warn('Dictionary write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  const set = memorySet(team);
+  normalized.forEach(word => set.delete(word));
+  return set.size;
+}
+
+// Kamus untuk dipakai /api/check: { name, words: Set, version }
+// version berubah setiap isi kamus berubah (dipakai sebagai bagian cache key)
+export async function getDictionary(team) {
+  const words = await listDictionaryWords(team);
+  return {
+    name: team.toLowerCase(),
+    words: new Set(words),
+    version: createHash('sha256').update(words.join('\n'), 'utf8').digest('hex').substring(0, 16)
+  };
+}
@@ -0,0 +1,175 @@
+// Feedback editor (accept/reject) per pasangan before→after, diagregasi di Upstash KV
+// dengan fallback in-memory. Pasangan yang rejection rate-nya melewati ambang batas
+// otomatis disembunyikan dari hasil LLM di /api/check.
+
+import { createHash } from 'crypto';
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+import { createTextFingerprint } from './fingerprint.js';
+import { normalizeDictionaryWord } from './dictionary.js';
+
+export const FEEDBACK_CONFIG = {
+  // Disembunyikan jika rejected / (accepted + rejected) >= threshold ...
+  rejectionThreshold: Number(process.env.FEEDBACK_REJECTION_THRESHOLD) || 0.8,
+  // ... dan sudah ada minimal sekian feedback untuk pasangan itu
+  minSamples: Number(process.env.FEEDBACK_MIN_SAMPLES) || 5,
+  // Setiap client (IP atau API key) hanya dihitung sekali per pasangan dalam periode ini,
+  // sehingga satu client tidak bisa menyembunyikan pasangan sendirian
+  dedupeTtlSec: 30 * 86400
+};
+
+export const FEEDBACK_ACTIONS = ['accept', 'reject'];
+
+const KEYS = {
+  pairs: 'periksakata:feedback:pairs',
+  counts: 'periksakata:feedback:counts',
+  rejected: 'periksakata:feedback:rejected',
+  suppressed: 'periksakata:feedback:suppressed',
+  version: 'periksakata:feedback:version'
+};
+
+// Fallback jika Upstash tidak tersedia
+const memoryFeedback = {
+  pairs: new Map(), // id -> { before, after, category }
+  counts: new Map(), // id -> { accepted, rejected }
+  suppressed: new Set(),
+  seen: new Map(), // dedupe key -> expiresAt
+  version: 0
+};
+
+// ID pasangan before→after (tidak peka kapitalisasi/spasi)
+export function feedbackPairId(before, after) {
+  return createTextFingerprint(`${normalizeDictionaryWord(before)}→${normalizeDictionaryWord(after)}`);
+}
+
+function isSuppressedByStats(accepted, rejected) {
+  const total = accepted + rejected;
+  return total >= FEEDBACK_CONFIG.minSamples && rejected / total >= FEEDBACK_CONFIG.rejectionThreshold;
+}
+
+function describeStats(accepted, rejected) {
+  const total = accepted + rejected;
+  return {
+    accepted,
+    rejected,
+    rejectionRate: total > 0 ? Number((rejected / total).toFixed(3)) : 0,
+    suppressed: isSuppressedByStats(accepted, rejected)
+  };
+}
+
+// Catat satu feedback. recorded=false jika duplikat (client yang sama sudah memberi feedback untuk pasangan ini)
+export async function recordFeedback({ before, after, category, action, clientId }) {
+  const id = feedbackPairId(before, after);
+  const clientHash = createHash('sha256').update(String(clientId), 'utf8').digest('hex').substring(0, 16);
+  const seenKey = `periksakata:feedback:seen:${id}:${clientHash}`;
+  const field = action === 'accept' ? 'accepted' : 'rejected';
+  const pair = JSON.stringify({ before, after, category });
+  
+  if (isKVConfigured()) {
+    try {
+      const [seen] = await kvPipeline([["SET", seenKey, 1, "NX", "EX", FEEDBACK_CONFIG.dedupeTtlSec]]);
+      const duplicate = seen?.result !== 'OK';
+      const results = await kvPipeline([
+        ["HSETNX", KEYS.pairs, id, pair],
+        ...(duplicate ? [] : [["HINCRBY", KEYS.counts, `${id}:${field}`, 1]]),
+        ...(duplicate || action !== 'reject' ? [] : [["ZINCRBY", KEYS.rejected, 1, id]]),
+        ["HMGET", KEYS.counts, `${id}:accepted`, `${id}:rejected`],
+        ["SISMEMBER", KEYS.suppressed, id]
+      ]);
+      const [accepted, rejected] = (results.at(-2)?.result || []).map(value => Number(value) || 0);
+      const wasSuppressed = Number(results.at(-1)?.result) === 1;
+      const stats = describeStats(accepted, rejected);
+      if (stats.suppressed !== wasSuppressed) {
+        await kvPipeline([
+          [stats.suppressed ? "SADD" : "SREM", KEYS.suppressed, id],
+          ["INCR", KEYS.version]
+        ]);
+      }
+      return { id, recorded: !duplicate, ...stats };
+    } catch (err) {
+      logger.warn('Feedback write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  
+  const now = Date.now();
+  for (const [key, expiresAt] of memoryFeedback.seen) {
+    if (expiresAt <= now) memoryFeedback.seen.delete(key);
+  }
+  const duplicate = memoryFeedback.seen.has(seenKey);
+  if (!memoryFeedback.pairs.has(id)) {
+    memoryFeedback.pairs.set(id, { before, after, category });
+  }
+  const counts = memoryFeedback.counts.get(id) || { accepted: 0, rejected: 0 };
+  if (!duplicate) {
+    memoryFeedback.seen.set(seenKey, now + FEEDBACK_CONFIG.dedupeTtlSec * 1000);
+    counts[field]++;
+    memoryFeedback.counts.set(id, counts);
+  }
+  const stats = describeStats(counts.accepted, counts.rejected);
+  if (stats.suppressed !== memoryFeedback.suppressed.has(id)) {
+    if (stats.suppressed) memoryFeedback.suppressed.add(id);
+    else memoryFeedback.suppressed.delete(id);
+    memoryFeedback.version++;
+  }
+  return { id, recorded: !duplicate, ...stats };
+}
+
+// Pasangan yang sedang disembunyikan: { ids: Set, version } (version ikut cache key /api/check)
+export async function getSuppressedPairs() {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([
+        ["SMEMBERS", KEYS.suppressed],
+        ["GET", KEYS.version]
+      ]);
+      return {
+        ids: new Set(Array.isArray(results?.[0]?.result) ? results[0].result : []),
+        version: Number(results?.[1]?.result) || 0
+      };
+    } catch (err) {
+      logger.warn('Feedback read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return { ids: new Set(memoryFeedback.suppressed), version: memoryFeedback.version };
+}
+
+// Pasangan dengan reject terbanyak: [{ id, before, after, category, accepted, rejected, rejectionRate, suppressed }]
+export async function listMostRejectedPairs(limit = 20) {
+  if (isKVConfigured()) {
+    try {
+      const [top] = await kvPipeline([["ZREVRANGE", KEYS.rejected, 0, limit - 1]]);
+      const ids = Array.isArray(top?.result) ? top.result : [];
+      if (ids.length === 0) return [];
+      const results = await kvPipeline([
+        ["HMGET", KEYS.pairs, ...ids],
+        ["HMGET", KEYS.counts, ...ids.flatMap(id => [`${id}:accepted`, `${id}:rejected`])]
+      ]);
+      const pairs = results?.[0]?.result || [];
+      const counts = (results?.[1]?.result || []).map(value => Number(value) || 0);
+      return ids.map((id, i) => ({
+        id,
+        ...safeParsePair(pairs[i]),
+        ...describeStats(counts[i * 2] || 0, counts[i * 2 + 1] || 0)
+      }));
+    } catch (err) {
+      logger.warn('Feedback list via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return [...memoryFeedback.counts.entries()]
+    .filter(([, counts]) => counts.rejected > 0)
+    .sort(([, a], [, b]) => b.rejected - a.rejected)
+    .slice(0, limit)
+    .map(([id, counts]) => ({
+      id,
+      ...memoryFeedback.pairs.get(id),
+      ...describeStats(counts.accepted, counts.rejected)
+    }));
+}
+
+function safeParsePair(raw) {
+  try {
+    return raw ? JSON.parse(raw) : {};
+  } catch {
+    return {};
+  }
+}
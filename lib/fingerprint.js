@@ -0,0 +1,7 @@
+// Fingerprint teks: 16 karakter pertama SHA-256 (cache key, versi prompt, log)
+
+import { createHash } from 'crypto';
+
+export function createTextFingerprint(text) {
+  return createHash('sha256').update(text, 'utf8').digest('hex').substring(0, 16);
+}
@@ -0,0 +1,70 @@
+// Pembungkus bersama untuk semua endpoint di api/: request context, metrics, CORS,
+// header rate limit dan penolakan method yang tidak didukung, sebelum handler endpoint dijalankan.
+
+import { handleCors } from './cors.js';
+import { logger, runWithRequestContext } from './logger.js';
+import { withRequestMetrics } from './metrics.js';
+import { resolveClient, getClientId } from './api-keys.js';
+import { peekRateLimit, resolveRateLimit, setRateLimitHeaders } from './rate-limit.js';
+
+// Buat handler Vercel dari handle(req, res, client).
+// methods: method yang didukung (preflight & 405); metrics: nama route untuk metrics request (opsional);
+// rateLimit: route rate limit (opsional). Jika diisi, client di-resolve sekali (null = key tidak valid
+// atau wajib key) dan header X-RateLimit-* dipasang sebelum respons apa pun, termasuk preflight,
+// 403 CORS dan 401/405/500. Slot rate limit tetap dipakai oleh handler sendiri lewat consumeRateLimit.
+export function createApiHandler(handle, { methods, metrics = null, rateLimit = null }) {
+  const run = async (req, res) => {
+    let client = null;
+    let clientError = null;
+    if (rateLimit) {
+      try {
+        client = await resolveClient(req, rateLimit);
+        setRateLimitHeaders(res, await peekClientRateLimit(req, rateLimit, client));
+      } catch (error) {
+        clientError = error;
+      }
+    }
+    
+    // CORS: preflight + allowlist origin (lib/cors.js)
+    if (handleCors(req, res, methods)) {
+      return;
+    }
+    
+    // Dikirim setelah CORS agar browser bisa membaca respons error
+    if (clientError) {
+      logger.error('Error resolving client', { error: clientError });
+      return res.status(500).json({
+        error: 'Internal server error',
+        message: 'Terjadi kesalahan saat memproses permintaan'
+      });
+    }
+    
+    if (!methods.includes(req.method)) {
+      return res.status(405).json({
+        error: 'Method not allowed',
+        message: `Only ${describeMethods(methods)} supported`
+      });
+    }
+    
+    return handle(req, res, client);
+  };
+  
+  return function handler(req, res) {
+    // Request ID ikut di setiap log dan dikirim lewat header X-Request-Id
+    return runWithRequestContext(req, res, () => metrics
+      ? withRequestMetrics(metrics, res, () => run(req, res))
+      : run(req, res));
+  };
+}
+
+// Status limit tanpa memakai slot; request tanpa client valid memakai tier anonim per IP
+function peekClientRateLimit(req, route, client) {
+  if (client) return peekRateLimit(route, client.id, client.rateLimit);
+  return peekRateLimit(route, getClientId(req), resolveRateLimit(route, 'anonymous'));
+}
+
+// "GET method is" / "GET and POST methods are" / "GET, POST and DELETE methods are"
+function describeMethods(methods) {
+  if (methods.length === 1) return `${methods[0]} method is`;
+  return `${methods.slice(0, -1).join(', ')} and ${methods[methods.length - 1]} methods are`;
+}
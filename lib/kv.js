@@ -0,0 +1,30 @@
+// Helper Upstash / Vercel KV REST yang dipakai bersama oleh semua endpoint
+
+// Upstash / Vercel KV REST (gunakan token write)
+const KV_REST_API_URL = process.env.KV_REST_API_URL;
+const KV_REST_API_TOKEN = process.env.KV_REST_API_TOKEN;
+
+// Apakah Upstash / Vercel KV REST dikonfigurasi
+export function isKVConfigured() {
+  return Boolean(KV_REST_API_URL && KV_REST_API_TOKEN);
+}
+
+// Kirim beberapa perintah Redis sekaligus lewat Upstash REST pipeline
+export async function kvPipeline(commands) {
+  const url = `${KV_REST_API_URL.replace(/\/$/, '')}/pipeline`;
+  const resp = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Bearer ${KV_REST_API_TOKEN}`,
+      'Content-Type': 'application/json'
+    },
+    body: JSON.stringify(commands)
+  });
+
+  if (!resp.ok) {
+    const text = await resp.text().catch(() => '');
+    throw new Error(`Upstash REST error: ${resp.status} ${text}`);
+  }
+
+  return resp.json();
+}
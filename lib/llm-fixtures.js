@@ -0,0 +1,52 @@
+// Record/replay respons chat completions sebagai fixture untuk test offline.
+// LLM_FIXTURE_MODE=record  → panggil upstream seperti biasa lalu simpan responsnya
+// LLM_FIXTURE_MODE=replay  → layani dari fixture tanpa jaringan (error jika belum direkam)
+// Fixture disimpan per hash body request di LLM_FIXTURE_DIR (default test/fixtures/llm).
+
+import { mkdir, readFile, writeFile } from 'fs/promises';
+import { resolve } from 'path';
+import { fileURLToPath } from 'url';
+import { createTextFingerprint } from './fingerprint.js';
+import { logger } from './logger.js';
+
+const FIXTURE_MODES = ['off', 'record', 'replay'];
+
+export const FIXTURE_CONFIG = {
+  mode: FIXTURE_MODES.includes(process.env.LLM_FIXTURE_MODE) ? process.env.LLM_FIXTURE_MODE : 'off',
+  dir: process.env.LLM_FIXTURE_DIR
+    ? resolve(process.env.LLM_FIXTURE_DIR)
+    : fileURLToPath(new URL('../test/fixtures/llm/', import.meta.url))
+};
+
+if (process.env.LLM_FIXTURE_MODE && FIXTURE_CONFIG.mode !== process.env.LLM_FIXTURE_MODE) {
+  logger.warn('Unknown LLM_FIXTURE_MODE, fixture dimatikan', { mode: process.env.LLM_FIXTURE_MODE });
+}
+
+// Key fixture: hash body request (model, messages, parameter); base URL & API key tidak ikut
+export function fixtureKey(body) {
+  return createTextFingerprint(JSON.stringify(body));
+}
+
+// Respons upstream yang sudah direkam untuk body ini (null jika belum ada)
+export async function readFixture(body) {
+  try {
+    const fixture = JSON.parse(await readFile(fixturePath(fixtureKey(body)), 'utf8'));
+    return fixture.response;
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw err;
+  }
+}
+
+// Simpan respons upstream beserta request-nya agar fixture mudah ditinjau
+export async function writeFixture(body, provider, response) {
+  const key = fixtureKey(body);
+  await mkdir(FIXTURE_CONFIG.dir, { recursive: true });
+  const fixture = { key, provider: provider.name, request: body, response };
+  await writeFile(fixturePath(key), `${JSON.stringify(fixture, null, 2)}\n`);
+  return key;
+}
+
+function fixturePath(key) {
+  return resolve(FIXTURE_CONFIG.dir, `${key}.json`);
+}
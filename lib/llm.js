@@ -0,0 +1,213 @@
+// Provider LLM (NVIDIA, OpenAI, server OpenAI-compatible) dengan fallback berurutan
+
+import { logger } from './logger.js';
+import { incrementCounter, observeHistogram } from './metrics.js';
+import { FIXTURE_CONFIG, fixtureKey, readFixture, writeFixture } from './llm-fixtures.js';
+
+export const LLM_CONFIG = {
+  NVIDIA_API_KEY: process.env.NVIDIA_API_KEY,
+  NVIDIA_MODEL: process.env.NVIDIA_MODEL || 'google/gemma-3-27b-it',
+  // Override upstream, mis. proxy internal atau server tiruan untuk test
+  NVIDIA_BASE_URL: process.env.NVIDIA_BASE_URL || 'https://integrate.api.nvidia.com/v1',
+  // Provider cadangan (OpenAI, atau server OpenAI-compatible seperti llama.cpp/Ollama)
+  OPENAI_API_KEY: process.env.OPENAI_API_KEY,
+  OPENAI_MODEL: process.env.OPENAI_MODEL || 'gpt-4o-mini',
+  OPENAI_BASE_URL: process.env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+  LLM_COMPAT_BASE_URL: process.env.LLM_COMPAT_BASE_URL,
+  LLM_COMPAT_API_KEY: process.env.LLM_COMPAT_API_KEY,
+  LLM_COMPAT_MODEL: process.env.LLM_COMPAT_MODEL,
+  // Cara server compatible menerima skema output: "guided_json", "response_format", atau kosong (tidak dikirim)
+  LLM_COMPAT_STRUCTURED_OUTPUT: process.env.LLM_COMPAT_STRUCTURED_OUTPUT || null,
+  // "off" untuk berhenti mengirim skema output ke semua provider
+  LLM_STRUCTURED_OUTPUT: process.env.LLM_STRUCTURED_OUTPUT !== 'off',
+  // Urutan fallback, contoh: "nvidia,openai,compatible"
+  LLM_PROVIDER_CHAIN: (process.env.LLM_PROVIDER_CHAIN || 'nvidia')
+    .split(',')
+    .map(name => name.trim())
+    .filter(Boolean)
+};
+
+// Provider LLM; semuanya memakai API chat completions format OpenAI
+export const LLM_PROVIDERS = {
+  nvidia: {
+    name: 'nvidia',
+    baseUrl: LLM_CONFIG.NVIDIA_BASE_URL,
+    apiKey: LLM_CONFIG.NVIDIA_API_KEY,
+    model: LLM_CONFIG.NVIDIA_MODEL,
+    extraBody: { chat_template_kwargs: { enable_thinking: false } },
+    structuredOutput: 'guided_json'
+  },
+  openai: {
+    name: 'openai',
+    baseUrl: LLM_CONFIG.OPENAI_BASE_URL,
+    apiKey: LLM_CONFIG.OPENAI_API_KEY,
+    model: LLM_CONFIG.OPENAI_MODEL,
+    extraBody: {},
+    structuredOutput: 'response_format'
+  },
+  compatible: {
+    name: 'compatible',
+    baseUrl: LLM_CONFIG.LLM_COMPAT_BASE_URL,
+    apiKey: LLM_CONFIG.LLM_COMPAT_API_KEY, // opsional untuk server lokal
+    model: LLM_CONFIG.LLM_COMPAT_MODEL,
+    extraBody: {},
+    structuredOutput: LLM_CONFIG.LLM_COMPAT_STRUCTURED_OUTPUT,
+    keyOptional: true
+  }
+};
+
+LLM_CONFIG.LLM_PROVIDER_CHAIN
+  .filter(name => !LLM_PROVIDERS[name])
+  .forEach(name => logger.warn('Unknown LLM provider in chain', { provider: name }));
+
+// Provider yang terkonfigurasi sesuai urutan LLM_PROVIDER_CHAIN.
+// Mode replay tidak butuh API key karena respons diambil dari fixture.
+export function getActiveProviders() {
+  const keyOptional = FIXTURE_CONFIG.mode === 'replay';
+  return LLM_CONFIG.LLM_PROVIDER_CHAIN
+    .map(name => LLM_PROVIDERS[name])
+    .filter(provider => provider && provider.baseUrl && provider.model && (provider.apiKey || provider.keyOptional || keyOptional));
+}
+
+// Panggil chat completions dengan fallback berurutan ke provider berikutnya jika gagal.
+// responseSchema (opsional) dikirim sebagai guided JSON / response_format jika provider mendukung;
+// jika provider menolak parameter skema itu (4xx yang menyebut parameternya), request diulang sekali tanpa skema.
+// Mengembalikan { content, provider } dari provider yang berhasil menjawab.
+export async function callChatCompletion(messages, { temperature = 0.1, max_tokens = 3500, responseSchema = null } = {}) {
+  const providers = getActiveProviders();
+  if (providers.length === 0) {
+    throw new Error('No LLM provider configured');
+  }
+
+  let lastError = null;
+  for (const provider of providers) {
+    const labels = { provider: provider.name, model: provider.model };
+    const startedAt = Date.now();
+    try {
+      const body = { model: provider.model, messages, temperature, max_tokens, ...provider.extraBody };
+      const data = await requestWithStructuredOutput(provider, body, responseSchema);
+      if (!data.choices || data.choices.length === 0) {
+        throw new Error(`No response from LLM provider ${provider.name}`);
+      }
+
+      incrementCounter('periksakata_llm_requests_total', { ...labels, outcome: 'success' });
+      observeHistogram('periksakata_llm_latency_seconds', labels, (Date.now() - startedAt) / 1000);
+      return { content: data.choices[0].message?.content ?? '', provider };
+    } catch (err) {
+      incrementCounter('periksakata_llm_requests_total', { ...labels, outcome: 'error' });
+      observeHistogram('periksakata_llm_latency_seconds', labels, (Date.now() - startedAt) / 1000);
+      lastError = err;
+      logger.warn('LLM provider gagal, mencoba provider berikutnya', { provider: provider.name, error: err });
+    }
+  }
+  throw lastError;
+}
+
+// Kirim request dengan skema output; jika provider menolak parameternya, ulangi tanpa skema.
+// Fallback hanya berlaku untuk request ini: request berikutnya tetap mengirim skema.
+async function requestWithStructuredOutput(provider, body, schema) {
+  const structured = structuredOutputBody(provider, schema);
+  if (Object.keys(structured).length === 0) {
+    return requestChatCompletion(provider, body);
+  }
+  try {
+    return await requestChatCompletion(provider, { ...body, ...structured });
+  } catch (err) {
+    if (!isStructuredOutputRejection(err)) throw err;
+    logger.warn('Provider menolak structured output, mengulang tanpa skema', { provider: provider.name, status: err.status });
+    return requestChatCompletion(provider, body);
+  }
+}
+
+// 4xx yang pesan errornya menyebut parameter skema; 4xx lain (konteks terlalu panjang,
+// model tidak dikenal, dst.) tidak akan berhasil dengan mengulang tanpa skema
+const STRUCTURED_OUTPUT_PARAMS = /guided_json|response_format|json_schema/i;
+
+function isStructuredOutputRejection(err) {
+  return err.status >= 400 && err.status < 500 && STRUCTURED_OUTPUT_PARAMS.test(err.body || '');
+}
+
+// Apakah skema output dikirim ke provider ini
+export function usesStructuredOutput(provider) {
+  return LLM_CONFIG.LLM_STRUCTURED_OUTPUT && Boolean(provider.structuredOutput);
+}
+
+// Parameter structured output sesuai dukungan provider
+function structuredOutputBody(provider, schema) {
+  if (!schema || !usesStructuredOutput(provider)) return {};
+  if (provider.structuredOutput === 'guided_json') {
+    return { nvext: { guided_json: schema } };
+  }
+  if (provider.structuredOutput === 'response_format') {
+    return { response_format: { type: 'json_schema', json_schema: { name: 'suggestions', schema } } };
+  }
+  return {};
+}
+
+// POST ke endpoint chat completions provider, atau lewat fixture sesuai LLM_FIXTURE_MODE
+async function requestChatCompletion(provider, body) {
+  if (FIXTURE_CONFIG.mode === 'replay') {
+    const fixture = await readFixture(body);
+    if (!fixture) {
+      throw new Error(`No LLM fixture ${fixtureKey(body)} recorded for provider ${provider.name}`);
+    }
+    return fixture;
+  }
+
+  const headers = { 'Content-Type': 'application/json' };
+  if (provider.apiKey) {
+    headers['Authorization'] = `Bearer ${provider.apiKey}`;
+  }
+  const response = await fetch(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+    method: 'POST',
+    headers,
+    body: JSON.stringify(body)
+  });
+
+  if (!response.ok) {
+    const errorData = await response.text();
+    logger.error('LLM provider error', { provider: provider.name, status: response.status, body: errorData });
+    const error = new Error(`LLM provider ${provider.name} error: ${response.status}`);
+    error.status = response.status;
+    error.body = errorData;
+    throw error;
+  }
+
+  const data = await response.json();
+  if (FIXTURE_CONFIG.mode === 'record') {
+    const key = await writeFixture(body, provider, data);
+    logger.debug('LLM fixture recorded', { provider: provider.name, key });
+  }
+  return data;
+}
+
+// Probe kecil (1 token) ke satu provider untuk health check; tidak melempar error
+export async function probeProvider(provider, { timeoutMs = 10000 } = {}) {
+  const startedAt = Date.now();
+  try {
+    const headers = { 'Content-Type': 'application/json' };
+    if (provider.apiKey) {
+      headers['Authorization'] = `Bearer ${provider.apiKey}`;
+    }
+    const response = await fetch(`${provider.baseUrl.replace(/\/$/, '')}/chat/completions`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        model: provider.model,
+        messages: [{ role: 'user', content: 'ping' }],
+        max_tokens: 1,
+        temperature: 0,
+        ...provider.extraBody
+      }),
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+    return { reachable: response.ok, status: response.status, latencyMs: Date.now() - startedAt };
+  } catch (err) {
+    return {
+      reachable: false,
+      status: null,
+      latencyMs: Date.now() - startedAt,
+      error: err?.name === 'TimeoutError' ? 'timeout' : 'network_error'
+    };
+  }
+}
@@ -0,0 +1,86 @@
+// Logger terstruktur (JSON per baris) dengan level, request ID, dan redaksi teks.
+//
+// LOG_LEVEL: debug | info (default) | warn | error
+// LOG_RAW_TEXT=1: matikan redaksi (hanya untuk debugging lokal; jangan di production,
+// teks artikel bisa berisi berita embargo).
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { randomUUID } from 'crypto';
+import { createTextFingerprint } from './fingerprint.js';
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+const LOG_CONFIG = {
+  level: LOG_LEVELS[process.env.LOG_LEVEL] ? process.env.LOG_LEVEL : 'info',
+  rawText: ['1', 'true'].includes(process.env.LOG_RAW_TEXT)
+};
+
+// Field yang bisa berisi teks artikel; isinya diganti ringkasan kecuali LOG_RAW_TEXT aktif
+const REDACTED_FIELDS = new Set(['text', 'before', 'after', 'content', 'suggestion', 'suggestions', 'response']);
+
+const requestContext = new AsyncLocalStorage();
+
+// Jalankan handler dengan request ID (dari header x-request-id jika valid) yang
+// otomatis ikut di setiap log, dan kirim balik lewat header X-Request-Id
+export function runWithRequestContext(req, res, fn) {
+  const incoming = req.headers?.['x-request-id'];
+  const requestId = typeof incoming === 'string' && /^[\w-]{1,64}$/.test(incoming) ? incoming : randomUUID();
+  res.setHeader('X-Request-Id', requestId);
+  return requestContext.run({ requestId }, fn);
+}
+
+export function getRequestId() {
+  return requestContext.getStore()?.requestId || null;
+}
+
+// Ringkasan teks yang aman dicatat: fingerprint + panjang
+export function describeText(text) {
+  const value = String(text ?? '');
+  return {
+    textFingerprint: createTextFingerprint(value),
+    textLength: value.length
+  };
+}
+
+function redactValue(value) {
+  if (typeof value === 'string') return `[redacted ${value.length} chars]`;
+  if (Array.isArray(value)) return `[redacted ${value.length} items]`;
+  return '[redacted]';
+}
+
+function serializeFields(fields) {
+  const out = {};
+  for (const [key, value] of Object.entries(fields || {})) {
+    if (value === undefined) continue;
+    if (value instanceof Error) {
+      out[key] = { name: value.name, message: value.message };
+    } else if (REDACTED_FIELDS.has(key) && !LOG_CONFIG.rawText) {
+      out[key] = redactValue(value);
+    } else {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+function write(level, msg, fields) {
+  if (LOG_LEVELS[level] < LOG_LEVELS[LOG_CONFIG.level]) return;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    requestId: getRequestId() || undefined,
+    ...serializeFields(fields)
+  };
+  const line = JSON.stringify(entry);
+  if (level === 'error') console.error(line);
+  else if (level === 'warn') console.warn(line);
+  else console.log(line);
+}
+
+export const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
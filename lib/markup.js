@@ -0,0 +1,346 @@
+// Ekstraksi teks yang bisa dibaca dari input HTML/Markdown.
+// Tag, atribut, blok kode, dan URL link dibuang; setiap karakter hasil ekstraksi
+// menyimpan rentang asalnya (starts/ends) sehingga posisi suggestion yang dihitung
+// pada teks hasil ekstraksi bisa dipetakan kembali ke offset markup asli.
+
+export const TEXT_FORMATS = ['text', 'html', 'markdown'];
+
+// Elemen yang isinya tidak diperiksa
+const HTML_SKIPPED_ELEMENTS = new Set(['script', 'style', 'code', 'pre', 'template', 'noscript', 'textarea']);
+
+// Elemen blok: batasnya menjadi pemisah paragraf di teks hasil ekstraksi
+const HTML_BLOCK_ELEMENTS = new Set([
+  'address', 'article', 'aside', 'blockquote', 'dd', 'div', 'dl', 'dt', 'figcaption', 'figure',
+  'footer', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'header', 'hr', 'li', 'main', 'nav', 'ol', 'p',
+  'pre', 'section', 'table', 'td', 'th', 'tr', 'ul'
+]);
+
+const HTML_NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: '\u00a0',
+  ndash: '–', mdash: '—', hellip: '…',
+  lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”'
+};
+
+// Ekstrak teks dari source sesuai format.
+// Hasil: { format, text, starts, ends }; starts/ends null untuk format "text" (offset identik).
+export function extractReadableText(source, format = 'text') {
+  if (format === 'html') return extractFromHtml(source);
+  if (format === 'markdown') return extractFromMarkdown(source);
+  return { format: 'text', text: source, starts: null, ends: null };
+}
+
+// Petakan rentang [start, end) pada teks hasil ekstraksi ke offset source
+export function toSourceRange(extraction, start, end) {
+  if (!extraction.starts) return { start, end };
+  const { starts, ends } = extraction;
+  const sourceStart = start < starts.length ? starts[start] : (ends[ends.length - 1] ?? 0);
+  const sourceEnd = end > 0 ? ends[Math.min(end, ends.length) - 1] : sourceStart;
+  return { start: sourceStart, end: Math.max(sourceStart, sourceEnd) };
+}
+
+// Salinan item (suggestion/paragraf) dengan start/end dan occurrences dalam offset source
+export function mapToSource(item, extraction) {
+  if (!extraction.starts) return item;
+  const mapped = { ...item };
+  if (Number.isInteger(item.start) && Number.isInteger(item.end)) {
+    Object.assign(mapped, toSourceRange(extraction, item.start, item.end));
+  }
+  if (Array.isArray(item.occurrences)) {
+    mapped.occurrences = item.occurrences.map(occ => toSourceRange(extraction, occ.start, occ.end));
+  }
+  return mapped;
+}
+
+// Terapkan perubahan dari applySuggestions (offset teks hasil ekstraksi) ke source markup.
+// Perubahan yang rentangnya melompati tag/markup dilewati (reason "markup").
+export function applyChangesToSource(source, changes, extraction) {
+  const edits = [];
+  const skipped = [];
+  for (const change of changes) {
+    const range = toSourceRange(extraction, change.start, change.end);
+    if (!isContiguousInSource(extraction, change.start, change.end)) {
+      skipped.push({ suggestionId: change.suggestionId, reason: 'markup', ...range });
+      continue;
+    }
+    edits.push({ ...change, ...range, after: escapeForFormat(change.after, extraction.format) });
+  }
+  
+  let text = source;
+  for (const edit of [...edits].sort((a, b) => b.start - a.start)) {
+    text = text.slice(0, edit.start) + edit.after + text.slice(edit.end);
+  }
+  
+  let shift = 0;
+  const applied = edits.map(edit => {
+    const change = {
+      ...edit,
+      before: source.slice(edit.start, edit.end),
+      newStart: edit.start + shift,
+      newEnd: edit.start + shift + edit.after.length
+    };
+    shift += edit.after.length - (edit.end - edit.start);
+    return change;
+  });
+  return { text, changes: applied, skipped };
+}
+
+// True jika rentang teks hasil ekstraksi berasal dari potongan source yang utuh
+// (tidak melompati tag/markup), sehingga aman diganti langsung di source
+function isContiguousInSource(extraction, start, end) {
+  if (!extraction.starts) return true;
+  for (let i = start; i < end - 1; i++) {
+    if (extraction.ends[i] !== extraction.starts[i + 1]) return false;
+  }
+  return true;
+}
+
+// Teks pengganti yang aman disisipkan ke source
+function escapeForFormat(value, format) {
+  if (format !== 'html') return value;
+  return value.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+// Penampung teks hasil ekstraksi beserta rentang asal tiap karakter
+function createTextBuilder(source) {
+  const chars = [];
+  const starts = [];
+  const ends = [];
+  return {
+    // Salin source[start, end) apa adanya (1:1)
+    copy(start, end) {
+      for (let i = start; i < end; i++) {
+        chars.push(source[i]);
+        starts.push(i);
+        ends.push(i + 1);
+      }
+    },
+    // Tambahkan teks hasil decode yang seluruhnya berasal dari source[start, end)
+    emit(value, start, end) {
+      for (const unit of value.split('')) {
+        chars.push(unit);
+        starts.push(start);
+        ends.push(end);
+      }
+    },
+    // Pemisah paragraf sintetis di posisi source tertentu (tidak digandakan)
+    paragraphBreak(position) {
+      if (chars.length === 0) return;
+      const tail = chars.slice(-2).join('');
+      const missing = tail === '\n\n' ? 0 : tail.endsWith('\n') ? 1 : 2;
+      for (let i = 0; i < missing; i++) {
+        chars.push('\n');
+        starts.push(position);
+        ends.push(position);
+      }
+    },
+    lineBreak(position) {
+      chars.push('\n');
+      starts.push(position);
+      ends.push(position);
+    },
+    result(format) {
+      return { format, text: chars.join(''), starts, ends };
+    }
+  };
+}
+
+// HTML: teks di luar tag + entity yang sudah di-decode; <br> jadi baris baru, elemen blok jadi paragraf
+function extractFromHtml(source) {
+  const builder = createTextBuilder(source);
+  let i = 0;
+  let textStart = 0;
+  const flushText = end => {
+    copyWithEntities(builder, source, textStart, end);
+  };
+  
+  while (i < source.length) {
+    if (source[i] !== '<') {
+      i++;
+      continue;
+    }
+    if (source.startsWith('<!--', i)) {
+      flushText(i);
+      const close = source.indexOf('-->', i + 4);
+      i = close === -1 ? source.length : close + 3;
+      textStart = i;
+      continue;
+    }
+    const tag = readHtmlTag(source, i);
+    if (!tag) {
+      i++;
+      continue;
+    }
+    flushText(i);
+    i = tag.end;
+    if (tag.name === 'br') {
+      builder.lineBreak(tag.start);
+    } else if (HTML_BLOCK_ELEMENTS.has(tag.name)) {
+      builder.paragraphBreak(tag.start);
+    }
+    // Isi elemen yang dilewati (kode, script, style) dibuang sampai tag penutupnya
+    if (!tag.closing && !tag.selfClosing && HTML_SKIPPED_ELEMENTS.has(tag.name)) {
+      const closePattern = new RegExp(`</${tag.name}\\s*>`, 'ig');
+      closePattern.lastIndex = i;
+      const close = closePattern.exec(source);
+      i = close ? close.index + close[0].length : source.length;
+    }
+    textStart = i;
+  }
+  flushText(source.length);
+  return builder.result('html');
+}
+
+// Baca tag HTML di posisi start (atribut dengan tanda kutip boleh berisi ">")
+function readHtmlTag(source, start) {
+  const match = /^<(\/?)([a-zA-Z][a-zA-Z0-9-]*)|^<[!?]/.exec(source.slice(start, start + 64));
+  if (!match) return null;
+  let quote = null;
+  for (let i = start + match[0].length; i < source.length; i++) {
+    const ch = source[i];
+    if (quote) {
+      if (ch === quote) quote = null;
+    } else if (ch === '"' || ch === "'") {
+      quote = ch;
+    } else if (ch === '>') {
+      return {
+        start,
+        end: i + 1,
+        name: (match[2] || '').toLowerCase(),
+        closing: match[1] === '/',
+        selfClosing: source[i - 1] === '/'
+      };
+    }
+  }
+  return null;
+}
+
+// Salin teks HTML sambil men-decode entity (&amp;, &#233;, &#x2014;, ...)
+function copyWithEntities(builder, source, start, end) {
+  const entityPattern = /&(#[0-9]+|#[xX][0-9a-fA-F]+|[a-zA-Z]+);/g;
+  entityPattern.lastIndex = start;
+  let cursor = start;
+  let match;
+  while ((match = entityPattern.exec(source)) && match.index < end) {
+    const decoded = decodeEntity(match[1]);
+    if (decoded === null || match.index + match[0].length > end) continue;
+    builder.copy(cursor, match.index);
+    builder.emit(decoded, match.index, match.index + match[0].length);
+    cursor = match.index + match[0].length;
+  }
+  builder.copy(cursor, end);
+}
+
+function decodeEntity(body) {
+  if (body[0] === '#') {
+    const codePoint = body[1] === 'x' || body[1] === 'X' ? parseInt(body.slice(2), 16) : parseInt(body.slice(1), 10);
+    if (!Number.isFinite(codePoint) || codePoint <= 0 || codePoint > 0x10ffff) return null;
+    return String.fromCodePoint(codePoint);
+  }
+  return HTML_NAMED_ENTITIES[body.toLowerCase()] ?? null;
+}
+
+// Penanda Markdown yang dibuang di awal baris / baris yang dibuang seluruhnya
+const MD_FENCE = /^ {0,3}(`{3,}|~{3,})/;
+const MD_BLOCK_PREFIX = /^ {0,3}(#{1,6}(?=\s|$)\s*|>\s?|[-*+]\s+|\d{1,9}[.)]\s+)/;
+const MD_THEMATIC_BREAK = /^ {0,3}([-*_=])(\s*\1){2,}\s*$/;
+const MD_REFERENCE_DEFINITION = /^ {0,3}\[[^\]]+\]:\s*\S+/;
+
+// Markdown: diproses per baris agar pemisah baris/paragraf tetap sama dengan source
+function extractFromMarkdown(source) {
+  const builder = createTextBuilder(source);
+  let fence = null;
+  let lineStart = 0;
+  while (lineStart < source.length) {
+    const newline = source.indexOf('\n', lineStart);
+    const lineEnd = newline === -1 ? source.length : newline;
+    const line = source.slice(lineStart, lineEnd);
+    
+    if (fence) {
+      // Blok kode: seluruh baris dibuang sampai pagar penutup
+      const closing = MD_FENCE.exec(line);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length && !line.slice(closing[0].length).trim()) {
+        fence = null;
+      }
+    } else if (MD_FENCE.test(line)) {
+      fence = MD_FENCE.exec(line)[1];
+    } else if (!MD_THEMATIC_BREAK.test(line) && !MD_REFERENCE_DEFINITION.test(line)) {
+      // Lewati penanda blok (heading, kutipan, daftar), boleh bertumpuk: "> - item"
+      let contentStart = lineStart;
+      let prefix;
+      while ((prefix = MD_BLOCK_PREFIX.exec(source.slice(contentStart, lineEnd))) && prefix[0].length > 0) {
+        contentStart += prefix[0].length;
+      }
+      copyMarkdownInline(builder, source, contentStart, lineEnd);
+    }
+    
+    if (newline === -1) break;
+    builder.copy(newline, newline + 1);
+    lineStart = newline + 1;
+  }
+  return builder.result('markdown');
+}
+
+// Salin isi satu baris Markdown tanpa penanda inline (emphasis, kode, URL link, tag)
+function copyMarkdownInline(builder, source, start, end) {
+  let i = start;
+  while (i < end) {
+    const ch = source[i];
+    const rest = source.slice(i, end);
+    
+    if (ch === '\\' && i + 1 < end && /[!-/:-@[-`{-~]/.test(source[i + 1])) {
+      builder.emit(source[i + 1], i, i + 2);
+      i += 2;
+      continue;
+    }
+    
+    if (ch === '`') {
+      const run = /^`+/.exec(rest)[0];
+      const close = source.indexOf(run, i + run.length);
+      if (close !== -1 && close < end) {
+        i = close + run.length;
+        continue;
+      }
+      i += run.length;
+      continue;
+    }
+    
+    // Gambar dibuang seluruhnya; link hanya teksnya yang diperiksa
+    const image = /^!\[[^\]\n]*\](\([^)\n]*\)|\[[^\]\n]*\])/.exec(rest);
+    if (image) {
+      i += image[0].length;
+      continue;
+    }
+    const link = /^\[([^\]\n]*)\](\([^)\n]*\)|\[[^\]\n]*\])/.exec(rest);
+    if (link) {
+      copyMarkdownInline(builder, source, i + 1, i + 1 + link[1].length);
+      i += link[0].length;
+      continue;
+    }
+    
+    // Autolink <https://...> dan tag HTML inline
+    const angle = /^<(https?:\/\/[^>\s]+|[^>\s@]+@[^>\s]+|\/?[a-zA-Z][^>]*)>/.exec(rest);
+    if (angle) {
+      i += angle[0].length;
+      continue;
+    }
+    
+    if (ch === '*' || ch === '_' || (ch === '~' && source[i + 1] === '~')) {
+      const run = new RegExp(`^\\${ch}+`).exec(rest)[0];
+      const before = source[i - 1] || ' ';
+      const after = source[i + run.length] || ' ';
+      const flanking = !/\s/.test(before) || !/\s/.test(after);
+      const intraword = /[\p{L}\p{N}]/u.test(before) && /[\p{L}\p{N}]/u.test(after);
+      // "_" di tengah kata (snake_case) bukan emphasis
+      if (flanking && !(ch === '_' && intraword)) {
+        i += run.length;
+        continue;
+      }
+      builder.copy(i, i + run.length);
+      i += run.length;
+      continue;
+    }
+    
+    builder.copy(i, i + 1);
+    i++;
+  }
+}
@@ -0,0 +1,185 @@
+// Metrics (counter & histogram) yang diagregasi di KV agar konsisten antar instance
+// serverless, lalu dirender dalam format Prometheus oleh /api/metrics.
+// Nilai dikumpulkan per instance dan dikirim sekali per request lewat flushMetrics().
+
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+
+const METRICS_KEY = 'periksakata:metrics';
+
+// Bucket histogram latensi (detik)
+const LATENCY_BUCKETS = [0.25, 0.5, 1, 2, 5, 10, 20, 30, 60];
+
+// Definisi metric yang dikenal: nama -> { type, help }
+export const METRICS = {
+  periksakata_requests_total: {
+    type: 'counter',
+    help: 'HTTP requests by route and status code'
+  },
+  periksakata_request_duration_seconds: {
+    type: 'histogram',
+    help: 'End-to-end request duration by route'
+  },
+  periksakata_llm_requests_total: {
+    type: 'counter',
+    help: 'Chat completion calls by provider, model and outcome'
+  },
+  periksakata_llm_latency_seconds: {
+    type: 'histogram',
+    help: 'Chat completion latency by provider and model'
+  },
+  periksakata_json_parse_failures_total: {
+    type: 'counter',
+    help: 'LLM responses that could not be parsed as JSON, by stage (primary or retry)'
+  },
+  periksakata_partial_responses_total: {
+    type: 'counter',
+    help: 'Truncated LLM responses from which only complete suggestions were recovered'
+  },
+  periksakata_strict_retries_total: {
+    type: 'counter',
+    help: 'Strict JSON retries triggered after a failed parse'
+  },
+  periksakata_suggestions_dropped_total: {
+    type: 'counter',
+    help: 'Suggestions dropped during validation and merging, by reason'
+  },
+  periksakata_suggestions_returned_total: {
+    type: 'counter',
+    help: 'Suggestions returned to clients, by category'
+  },
+  periksakata_cache_lookups_total: {
+    type: 'counter',
+    help: 'Result cache lookups by result (hit or miss)'
+  }
+};
+
+// Perubahan yang belum dikirim ke KV: field -> delta
+const pending = new Map();
+// Fallback jika Upstash tidak tersedia: field -> total
+const memoryMetrics = new Map();
+
+// Label diurutkan agar field untuk kombinasi label yang sama selalu identik
+function formatLabels(labels = {}) {
+  const entries = Object.entries(labels)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .sort(([a], [b]) => a.localeCompare(b));
+  if (entries.length === 0) return '';
+  const body = entries
+    .map(([key, value]) => `${key}="${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n')}"`)
+    .join(',');
+  return `{${body}}`;
+}
+
+function addPending(field, delta) {
+  pending.set(field, (pending.get(field) || 0) + delta);
+}
+
+export function incrementCounter(name, labels = {}, value = 1) {
+  addPending(`${name}${formatLabels(labels)}`, value);
+}
+
+// Histogram kumulatif ala Prometheus: _bucket{le=...}, _sum, _count
+export function observeHistogram(name, labels = {}, valueSec) {
+  for (const le of LATENCY_BUCKETS) {
+    if (valueSec <= le) {
+      addPending(`${name}_bucket${formatLabels({ ...labels, le })}`, 1);
+    }
+  }
+  addPending(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })}`, 1);
+  addPending(`${name}_sum${formatLabels(labels)}`, valueSec);
+  addPending(`${name}_count${formatLabels(labels)}`, 1);
+}
+
+// Kirim semua perubahan yang tertunda (satu pipeline ke Upstash)
+export async function flushMetrics() {
+  if (pending.size === 0) return;
+  const deltas = [...pending.entries()];
+  pending.clear();
+  if (isKVConfigured()) {
+    try {
+      await kvPipeline(deltas.map(([field, delta]) =>
+        Number.isInteger(delta)
+          ? ["HINCRBY", METRICS_KEY, field, delta]
+          : ["HINCRBYFLOAT", METRICS_KEY, field, delta]
+      ));
+      return;
+    } catch (err) {
+      logger.warn('Metrics write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  for (const [field, delta] of deltas) {
+    memoryMetrics.set(field, (memoryMetrics.get(field) || 0) + delta);
+  }
+}
+
+// Catat request per route: status code + durasi, lalu flush
+export async function withRequestMetrics(route, res, fn) {
+  const startedAt = Date.now();
+  try {
+    return await fn();
+  } finally {
+    incrementCounter('periksakata_requests_total', { route, status: res.statusCode });
+    observeHistogram('periksakata_request_duration_seconds', { route }, (Date.now() - startedAt) / 1000);
+    await flushMetrics();
+  }
+}
+
+async function readAllMetrics() {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["HGETALL", METRICS_KEY]]);
+      const flat = results?.[0]?.result || [];
+      const values = new Map();
+      for (let i = 0; i + 1 < flat.length; i += 2) {
+        values.set(flat[i], Number(flat[i + 1]));
+      }
+      return values;
+    } catch (err) {
+      logger.warn('Metrics read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return new Map(memoryMetrics);
+}
+
+// Nama metric dasar dari field (tanpa label dan suffix histogram)
+function baseMetricName(field) {
+  const name = field.split('{')[0];
+  const histogram = name.match(/^(.*)_(bucket|sum|count)$/);
+  if (histogram && METRICS[histogram[1]]?.type === 'histogram') {
+    return histogram[1];
+  }
+  return name;
+}
+
+// Urutkan per seri, bucket histogram berdasarkan nilai le (bukan urutan string)
+function compareFields(a, b) {
+  const leOf = field => {
+    const match = field.match(/le="([^"]+)"/);
+    return match ? (match[1] === '+Inf' ? Infinity : Number(match[1])) : null;
+  };
+  const withoutLe = field => field.replace(/,?le="[^"]+"/, '');
+  const byName = withoutLe(a).localeCompare(withoutLe(b));
+  if (byName !== 0) return byName;
+  return (leOf(a) ?? 0) - (leOf(b) ?? 0);
+}
+
+// Render seluruh metric dalam text exposition format Prometheus
+export async function renderPrometheusMetrics() {
+  const values = await readAllMetrics();
+  const grouped = new Map();
+  for (const [field, value] of values) {
+    const base = baseMetricName(field);
+    if (!grouped.has(base)) grouped.set(base, []);
+    grouped.get(base).push([field, value]);
+  }
+  
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+    const samples = (grouped.get(name) || []).sort(([a], [b]) => compareFields(a, b));
+    lines.push(...samples.map(([field, value]) => `${field} ${value}`));
+  }
+  return `${lines.join('\n')}\n`;
+}
@@ -0,0 +1,195 @@
+// Rate limiting sliding window (log timestamp) per route dan tier client.
+// Upstash memakai sorted set + skrip Lua agar atomik; fallback ke in-memory.
+
+import { randomBytes } from 'crypto';
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+
+// Rate limiting storage (fallback jika Upstash tidak tersedia): key -> { windowMs, requests }
+const rateLimitStore = new Map();
+
+// Limit default per route dan tier ("anonymous" tanpa API key, "key" dengan API key).
+// Bisa ditimpa lewat env RATE_LIMITS (JSON), contoh:
+// {"check":{"anonymous":{"maxRequests":5},"key":{"maxRequests":120,"windowMs":60000}}}
+const DEFAULT_RATE_LIMITS = {
+  check: {
+    anonymous: { maxRequests: Number(process.env.ANON_RATE_LIMIT_MAX) || 10, windowMs: 60000 },
+    key: { maxRequests: 60, windowMs: 60000 }
+  },
+  feedback: {
+    anonymous: { maxRequests: 60, windowMs: 60000 },
+    key: { maxRequests: 300, windowMs: 60000 }
+  },
+  // Menerapkan koreksi tidak memanggil LLM
+  apply: {
+    anonymous: { maxRequests: 60, windowMs: 60000 },
+    key: { maxRequests: 300, windowMs: 60000 }
+  },
+  // /api/batch: satu slot per panggilan LLM (item dari cache tidak dihitung)
+  batch: {
+    anonymous: { maxRequests: 30, windowMs: 60000 },
+    key: { maxRequests: 300, windowMs: 60000 }
+  }
+};
+
+export const RATE_LIMITS = loadRateLimits(process.env.RATE_LIMITS);
+
+function loadRateLimits(raw) {
+  const limits = structuredClone(DEFAULT_RATE_LIMITS);
+  if (!raw) return limits;
+  try {
+    const overrides = JSON.parse(raw);
+    for (const [route, tiers] of Object.entries(overrides || {})) {
+      limits[route] = limits[route] || {};
+      for (const [tier, limit] of Object.entries(tiers || {})) {
+        limits[route][tier] = { ...DEFAULT_RATE_LIMITS.check[tier], ...limits[route][tier], ...limit };
+      }
+    }
+  } catch (err) {
+    logger.warn('RATE_LIMITS tidak valid, memakai default', { error: err });
+  }
+  return limits;
+}
+
+// Limit efektif untuk route + tier; override per API key (jika ada) berlaku di semua route
+export function resolveRateLimit(route, tier, overrides = {}) {
+  const base = RATE_LIMITS[route]?.[tier] || DEFAULT_RATE_LIMITS.check[tier];
+  return {
+    maxRequests: overrides.maxRequests ?? base.maxRequests,
+    windowMs: overrides.windowMs ?? base.windowMs
+  };
+}
+
+// Sliding window log: buang entri di luar window, hitung, lalu catat ARGV[4] request (0 = hanya cek).
+// Mengembalikan { allowed, count, oldest, freedAt } dengan oldest = timestamp entri tertua dalam window
+// dan freedAt = timestamp entri yang harus keluar dari window agar amount request muat (jika ditolak).
+const SLIDING_WINDOW_SCRIPT = `
+local key = KEYS[1]
+local now = tonumber(ARGV[1])
+local window = tonumber(ARGV[2])
+local limit = tonumber(ARGV[3])
+local amount = tonumber(ARGV[4])
+redis.call('ZREMRANGEBYSCORE', key, '-inf', now - window)
+local count = redis.call('ZCARD', key)
+local needed = math.max(amount, 1)
+local allowed = 0
+local freedAt = now
+if count + needed <= limit then
+  allowed = 1
+  for i = 1, amount do
+    redis.call('ZADD', key, now, ARGV[5] .. '-' .. i)
+  end
+  if amount > 0 then
+    redis.call('PEXPIRE', key, window)
+    count = count + amount
+  end
+else
+  local index = count + needed - limit - 1
+  local entry = redis.call('ZRANGE', key, index, index, 'WITHSCORES')
+  freedAt = tonumber(entry[2] or now)
+end
+local oldest = redis.call('ZRANGE', key, 0, 0, 'WITHSCORES')
+return { allowed, count, tonumber(oldest[2] or now), freedAt }
+`;
+
+// Catat amount request sekaligus (mis. item batch); status.allowed false jika tidak semuanya muat
+export function consumeRateLimit(route, clientId, limit, amount = 1) {
+  return evaluateRateLimit(route, clientId, limit, amount);
+}
+
+// Status limit saat ini tanpa memakai slot (untuk respons yang tidak memanggil LLM)
+export function peekRateLimit(route, clientId, limit) {
+  return evaluateRateLimit(route, clientId, limit, 0);
+}
+
+// Rate limiting check (delegator); amount 0 = hanya cek
+async function evaluateRateLimit(route, clientId, limit, amount) {
+  const key = `periksakata:rl:${route}:${clientId}`;
+  const now = Date.now();
+  // Jika konfigurasi Upstash tersedia, gunakan Upstash terlebih dahulu
+  if (isKVConfigured()) {
+    try {
+      return await evaluateRateLimitUpstash(key, limit, amount, now);
+    } catch (err) {
+      logger.warn('Rate limit via Upstash gagal, fallback ke in-memory', { error: err });
+      // lanjut fallback
+    }
+  }
+  // Fallback ke in-memory agar tidak mengganggu fungsi lain
+  return evaluateRateLimitInMemory(key, limit, amount, now);
+}
+
+// Implementasi rate limit via Upstash Redis REST (sorted set, skrip Lua)
+async function evaluateRateLimitUpstash(key, limit, amount, now) {
+  const member = `${now}-${randomBytes(4).toString('hex')}`;
+  const results = await kvPipeline([
+    ["EVAL", SLIDING_WINDOW_SCRIPT, 1, key, now, limit.windowMs, limit.maxRequests, amount, member]
+  ]);
+  const result = results?.[0]?.result;
+  if (!Array.isArray(result) || result.length !== 4) {
+    throw new Error(`Invalid EVAL result from Upstash: ${results?.[0]?.error || JSON.stringify(result)}`);
+  }
+  const [allowed, count, oldest, freedAt] = result.map(Number);
+  return buildStatus(limit, allowed === 1, count, oldest, freedAt, now, amount > 0);
+}
+
+// Rate limiting check - in-memory (fallback)
+function evaluateRateLimitInMemory(key, limit, amount, now) {
+  const requests = rateLimitStore.get(key)?.requests || [];
+  
+  // Remove old requests
+  const validRequests = requests.filter(time => now - time < limit.windowMs);
+  
+  const needed = Math.max(amount, 1);
+  const allowed = validRequests.length + needed <= limit.maxRequests;
+  // Entri yang harus keluar dari window agar amount request muat
+  const freedAt = allowed ? now : (validRequests[validRequests.length + needed - limit.maxRequests - 1] ?? now);
+  if (allowed) {
+    for (let i = 0; i < amount; i++) validRequests.push(now);
+  }
+  if (validRequests.length > 0) {
+    rateLimitStore.set(key, { windowMs: limit.windowMs, requests: validRequests });
+  } else {
+    rateLimitStore.delete(key);
+  }
+  
+  return buildStatus(limit, allowed, validRequests.length, validRequests[0] ?? now, freedAt, now, amount > 0);
+}
+
+function buildStatus(limit, allowed, count, oldest, freedAt, now, consume) {
+  // Slot berikutnya kosong saat entri tertua keluar dari window; Retry-After menunggu
+  // sampai cukup slot untuk seluruh amount (mis. semua item batch)
+  const resetAt = count > 0 ? oldest + limit.windowMs : now;
+  const retryAt = allowed ? resetAt : freedAt + limit.windowMs;
+  return {
+    allowed,
+    rejected: consume && !allowed,
+    limit: limit.maxRequests,
+    remaining: Math.max(0, limit.maxRequests - count),
+    resetAt,
+    retryAfterSec: Math.max(1, Math.ceil((retryAt - now) / 1000))
+  };
+}
+
+// Header standar rate limit; Retry-After hanya saat request ini ditolak
+export function setRateLimitHeaders(res, status) {
+  res.setHeader('X-RateLimit-Limit', String(status.limit));
+  res.setHeader('X-RateLimit-Remaining', String(status.remaining));
+  res.setHeader('X-RateLimit-Reset', String(Math.ceil(status.resetAt / 1000))); // epoch detik
+  if (status.rejected) {
+    res.setHeader('Retry-After', String(status.retryAfterSec));
+  }
+}
+
+// Cleanup old rate limit entries periodically
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of rateLimitStore.entries()) {
+    const validRequests = entry.requests.filter(time => now - time < entry.windowMs);
+    if (validRequests.length === 0) {
+      rateLimitStore.delete(key);
+    } else {
+      rateLimitStore.set(key, { ...entry, requests: validRequests });
+    }
+  }
+}, 60000);
@@ -0,0 +1,130 @@
+// Style guide Kompas (kata baku & nama negara) yang bisa diedit desk bahasa
+// Sumber: data/style-guide.json sebagai default, di-override oleh KV jika pernah diedit
+
+import { readFileSync } from 'fs';
+import { randomUUID } from 'crypto';
+import { isKVConfigured, kvPipeline } from './kv.js';
+import { logger } from './logger.js';
+
+const STYLE_GUIDE_KEY = 'periksakata:styleguide';
+
+export const STYLE_GUIDE_RULE_TYPES = ['baku', 'negara'];
+
+// Default dari file JSON (dibaca sekali per instance)
+const defaultStyleGuide = JSON.parse(
+  readFileSync(new URL('../data/style-guide.json', import.meta.url), 'utf8')
+);
+
+// Style guide override (fallback jika Upstash tidak tersedia)
+let memoryOverride = null;
+
+// Error untuk perubahan yang bentrok dengan versi terbaru
+export class StyleGuideConflictError extends Error {
+  constructor(currentVersion) {
+    super(`Style guide version conflict. Current version is ${currentVersion}`);
+    this.name = 'StyleGuideConflictError';
+    this.currentVersion = currentVersion;
+  }
+}
+
+// Ambil style guide terbaru: { version, rules: [{ id, type, from, to, message }] }
+export async function getStyleGuide() {
+  if (isKVConfigured()) {
+    try {
+      const results = await kvPipeline([["GET", STYLE_GUIDE_KEY]]);
+      const raw = results?.[0]?.result;
+      if (raw) return JSON.parse(raw);
+      return memoryOverride || defaultStyleGuide;
+    } catch (err) {
+      logger.warn('Style guide read via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  return memoryOverride || defaultStyleGuide;
+}
+
+async function saveStyleGuide(styleGuide) {
+  if (isKVConfigured()) {
+    try {
+      await kvPipeline([["SET", STYLE_GUIDE_KEY, JSON.stringify(styleGuide)]]);
+      return;
+    } catch (err) {
+      logger.warn('Style guide write via Upstash gagal, fallback ke in-memory', { error: err });
+    }
+  }
+  memoryOverride = styleGuide;
+}
+
+// Terapkan perubahan ke daftar rules lalu simpan sebagai versi baru.
+// expectedVersion (opsional) mencegah menimpa perubahan orang lain.
+async function updateStyleGuide(mutate, expectedVersion) {
+  const current = await getStyleGuide();
+  if (expectedVersion != null && expectedVersion !== current.version) {
+    throw new StyleGuideConflictError(current.version);
+  }
+  const rules = current.rules.map(rule => ({ ...rule }));
+  const result = mutate(rules);
+  const next = {
+    version: current.version + 1,
+    updatedAt: new Date().toISOString(),
+    rules
+  };
+  await saveStyleGuide(next);
+  return { styleGuide: next, result };
+}
+
+// Tambah rule baru; mengembalikan { styleGuide, rule }
+export async function addStyleGuideRule({ type, from, to, message }, expectedVersion) {
+  const { styleGuide, result } = await updateStyleGuide(rules => {
+    const rule = {
+      id: `${type}-${randomUUID().slice(0, 8)}`,
+      type,
+      from: from.trim(),
+      to: to.trim(),
+      message: message || defaultRuleMessage(type)
+    };
+    rules.push(rule);
+    return rule;
+  }, expectedVersion);
+  return { styleGuide, rule: result };
+}
+
+// Ubah rule berdasarkan id; mengembalikan { styleGuide, rule } (rule null jika tidak ada)
+export async function updateStyleGuideRule(id, changes, expectedVersion) {
+  const current = await getStyleGuide();
+  if (!current.rules.some(rule => rule.id === id)) {
+    return { styleGuide: current, rule: null };
+  }
+  const { styleGuide, result } = await updateStyleGuide(rules => {
+    const rule = rules.find(r => r.id === id);
+    for (const field of ['type', 'from', 'to', 'message']) {
+      if (changes[field] === undefined) continue;
+      rule[field] = field === 'from' || field === 'to' ? changes[field].trim() : changes[field];
+    }
+    return rule;
+  }, expectedVersion);
+  return { styleGuide, rule: result };
+}
+
+// Hapus rule berdasarkan id; mengembalikan { styleGuide, removed }
+export async function deleteStyleGuideRule(id, expectedVersion) {
+  const current = await getStyleGuide();
+  if (!current.rules.some(rule => rule.id === id)) {
+    return { styleGuide: current, removed: false };
+  }
+  const { styleGuide } = await updateStyleGuide(rules => {
+    rules.splice(rules.findIndex(r => r.id === id), 1);
+  }, expectedVersion);
+  return { styleGuide, removed: true };
+}
+
+// Pesan default per jenis rule; {before} dan {after} diganti saat dipakai
+export function defaultRuleMessage(type) {
+  return type === 'negara'
+    ? "Penulisan nama negara '{before}' sesuai pedoman Kompas adalah '{after}'"
+    : "Kata '{before}' tidak baku, gunakan '{after}' (pedoman Kompas)";
+}
+
+// Isi placeholder {before} / {after} pada pesan rule
+export function formatRuleMessage(message, before, after) {
+  return String(message).replace(/\{before\}/g, before).replace(/\{after\}/g, after);
+}
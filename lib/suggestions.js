@@ -0,0 +1,102 @@
+// Kategori, severity & skema JSON suggestion (dipakai /api/check, /api/feedback dan /api/schema)
+
+export const SUGGESTION_CATEGORIES = ['typo', 'baku', 'eyd', 'konteks'];
+export const SUGGESTION_SEVERITIES = ['low', 'medium', 'high'];
+
+// Definisi field suggestion: satu sumber untuk skema respons API, skema output LLM,
+// dan validasi setiap suggestion dari LLM
+const SUGGESTION_FIELDS = {
+  id: { type: 'string', minLength: 1, description: 'ID suggestion, unik dalam satu respons' },
+  category: { type: 'string', enum: SUGGESTION_CATEGORIES },
+  severity: { type: 'string', enum: SUGGESTION_SEVERITIES },
+  message: { type: 'string', minLength: 1, description: 'Penjelasan singkat untuk editor' },
+  before: { type: 'string', minLength: 1, description: 'Kata/frasa yang persis muncul di teks' },
+  after: { type: 'string', description: 'Penggantinya' },
+  start: { type: 'integer', minimum: 0, description: 'Offset kemunculan pertama (sama dengan occurrences[0])' },
+  end: { type: 'integer', minimum: 0 },
+  occurrences: {
+    type: 'array',
+    description: 'Semua kemunculan whole-word di teks, di luar protected span',
+    items: {
+      type: 'object',
+      required: ['start', 'end'],
+      properties: {
+        start: { type: 'integer', minimum: 0 },
+        end: { type: 'integer', minimum: 0 }
+      }
+    }
+  },
+  protectedOnly: { type: 'boolean', description: 'true jika semua kemunculan ada di dalam protected span' }
+};
+
+// Field yang diminta dari LLM; posisi dihitung server
+const LLM_SUGGESTION_FIELDS = ['category', 'severity', 'message', 'before', 'after'];
+
+// Skema satu suggestion di respons /api/check, /api/batch dan stream (dipublikasikan di /api/schema)
+export const SUGGESTION_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'Periksa Kata suggestion',
+  type: 'object',
+  required: ['id', 'category', 'severity', 'message', 'before', 'after', 'occurrences'],
+  properties: SUGGESTION_FIELDS
+};
+
+// Skema output LLM: dikirim sebagai guided JSON / response_format dan dipakai untuk validasi
+export const LLM_RESPONSE_SCHEMA = {
+  type: 'object',
+  required: ['suggestions'],
+  properties: {
+    suggestions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['category', 'message', 'before', 'after'],
+        properties: Object.fromEntries(LLM_SUGGESTION_FIELDS.map(field => [field, SUGGESTION_FIELDS[field]]))
+      }
+    }
+  }
+};
+
+export const LLM_SUGGESTION_SCHEMA = LLM_RESPONSE_SCHEMA.properties.suggestions.items;
+
+// Validasi nilai terhadap subset JSON Schema yang dipakai di sini
+// (type, enum, required, properties, items, minLength, minimum).
+// Mengembalikan daftar pelanggaran [{ path, keyword }]; kosong jika valid.
+export function validateSchema(value, schema, path = '') {
+  if (schema.type && !matchesType(value, schema.type)) {
+    return [{ path, keyword: 'type' }];
+  }
+  const errors = [];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({ path, keyword: 'enum' });
+  }
+  if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push({ path, keyword: 'minLength' });
+  }
+  if (typeof value === 'number' && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path, keyword: 'minimum' });
+  }
+  if (schema.type === 'object') {
+    for (const field of schema.required || []) {
+      if (value[field] === undefined) errors.push({ path: joinPath(path, field), keyword: 'required' });
+    }
+    for (const [field, fieldSchema] of Object.entries(schema.properties || {})) {
+      if (value[field] !== undefined) errors.push(...validateSchema(value[field], fieldSchema, joinPath(path, field)));
+    }
+  }
+  if (schema.type === 'array' && schema.items) {
+    value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+  }
+  return errors;
+}
+
+function matchesType(value, type) {
+  if (type === 'integer') return Number.isInteger(value);
+  if (type === 'array') return Array.isArray(value);
+  if (type === 'object') return value !== null && typeof value === 'object' && !Array.isArray(value);
+  return typeof value === type;
+}
+
+function joinPath(path, field) {
+  return path ? `${path}.${field}` : field;
+}
@@ -0,0 +1,93 @@
+// Server tiruan chat completions (format OpenAI) untuk merekam fixture sintetis di
+// test/fixtures/llm-synthetic. Balasannya ditulis tangan per teks uji, termasuk
+// balasan rusak (prosa, kutip tunggal, JSON terpotong) yang sengaja diuji test-offline.
+//
+//   node test/llm-stub-server.js
+//   LLM_FIXTURE_MODE=record NVIDIA_BASE_URL=http://127.0.0.1:8787 NVIDIA_API_KEY=stub node test/test-offline.js
+
+import http from 'http';
+
+const PORT = Number(process.env.LLM_STUB_PORT) || 8787;
+
+const suggestion = (category, before, after, message, severity = 'medium') => ({ category, severity, before, after, message });
+const json = suggestions => JSON.stringify({ suggestions });
+
+// Re-check incremental: paragraf berubah dikirim sebagai satu teks (dipisah baris kosong)
+const INCREMENTAL_TEXT = [
+  'Mereka sdh tiba.',
+  'Dia membli sayur.',
+  ...Array.from({ length: 38 }, (_, i) => `Paragraf ${i + 3} sudah benar.`)
+].join('\n\n');
+
+// Balasan untuk prompt utama, per teks yang diperiksa
+const REPLIES = {
+  'Aku ingin makan dubur ayam yang enak sekali.': json([
+    suggestion('konteks', 'dubur', 'bubur', 'Kata "dubur" tidak sesuai konteks makanan; kemungkinan maksudnya "bubur".', 'high')
+  ]),
+  'Saya mau ijin untuk pergi ke resiko tinggi.': json([
+    suggestion('eyd', 'ijin', 'izin', 'Bentuk baku adalah "izin".'),
+    suggestion('eyd', 'resiko', 'risiko', 'Bentuk baku adalah "risiko".')
+  ]),
+  'Selamat pagi, semoga hari ini menyenangkan.': '{"suggestions": []}',
+  // Code fence, duplikat, no-op, before yang tidak ada, potongan kata, kategori tidak dikenal
+  'Sya mau mkn bersama masyarakat desa.': '```json\n' + JSON.stringify({ suggestions: [
+    suggestion('typo', 'Sya', 'Saya', 'Typo: "Sya" seharusnya "Saya".', 'high'),
+    suggestion('typo', 'Sya', 'Saya', 'Typo: "Sya" seharusnya "Saya".', 'high'),
+    suggestion('typo', 'mkn', 'makan', 'Singkatan tidak baku: "mkn" seharusnya "makan".'),
+    suggestion('typo', 'mau', 'mau', 'Tidak ada perubahan.'),
+    suggestion('typo', 'makn', 'makan', 'Typo.'),
+    suggestion('typo', 'sya', 'saya', 'Typo.'),
+    suggestion('gaya', 'desa', 'Desa', 'Kapitalisasi.')
+  ] }, null, 2) + '\n```',
+  'Mereka sdh tiba di rumh.': "{'suggestions': [{'category': 'typo', 'severity': 'high', 'before': 'sdh', 'after': 'sudah', 'message': 'Singkatan tidak baku, tulis \\'sudah\\'.',}, {'category': 'typo', 'before': 'rumh', 'after': 'rumah', 'message': 'Typo.', 'severity': 'medium'},],}",
+  'Dia pergi kepasar dan membli sayur segar.': '```json\n{"suggestions": [\n  {"category": "eyd", "severity": "medium", "before": "kepasar", "after": "ke pasar", "message": "Kata depan \\"ke\\" ditulis terpisah."},\n  {"category": "typo", "severity": "high", "before": "membli", "after": "membeli", "message": "Typo {membli} seharusnya [membeli]."},\n  {"category": "typo", "severity": "low", "before": "seg',
+  'Kami sudah smpai di kantor.': 'Berikut hasil pemeriksaan: kata "smpai" seharusnya "sampai".',
+  'Laporan ini blm selesai dikerjakan.': 'Kata "blm" adalah singkatan; tulis "belum".',
+  // Rule engine + protected span: saran LLM untuk kata yang sudah ditangani rule atau ada di kredit foto dibuang
+  'Aktifitas warga tinggi. Foto: KOMPAS/IJIN RAHMAN. Ijin usaha dan analisa pasar dibahas.': json([
+    suggestion('baku', 'analisa', 'analisis', 'Bentuk baku adalah "analisis".'),
+    suggestion('typo', 'RAHMAN', 'Rahman', 'Nama ditulis dengan huruf kapital di awal saja.', 'low')
+  ]),
+  [INCREMENTAL_TEXT]: json([
+    suggestion('typo', 'sdh', 'sudah', 'Singkatan tidak baku: "sdh" seharusnya "sudah".'),
+    suggestion('typo', 'membli', 'membeli', 'Typo: "membli" seharusnya "membeli".', 'high')
+  ]),
+  'Dia membeli sayur.': '{"suggestions": []}'
+};
+
+// Balasan untuk strict retry (dipanggil setelah balasan utama gagal di-parse)
+const RETRY_REPLIES = {
+  'Kami sudah smpai di kantor.': json([
+    suggestion('typo', 'smpai', 'sampai', 'Typo: "smpai" seharusnya "sampai".')
+  ]),
+  'Laporan ini blm selesai dikerjakan.': 'Maaf, teks sudah diperiksa: "blm" seharusnya "belum".'
+};
+
+function replyFor(userPrompt) {
+  const retryText = Object.keys(RETRY_REPLIES).find(text => userPrompt.startsWith(`${text}\n\nPENTING: Keluarkan JSON VALID SAJA`));
+  if (retryText) return RETRY_REPLIES[retryText];
+  const text = Object.keys(REPLIES).find(candidate => userPrompt.includes(`"${candidate}"`));
+  return text ? REPLIES[text] : null;
+}
+
+const server = http.createServer((req, res) => {
+  let raw = '';
+  req.on('data', chunk => { raw += chunk; });
+  req.on('end', () => {
+    const body = JSON.parse(raw);
+    const content = replyFor(body.messages.at(-1).content);
+    res.setHeader('Content-Type', 'application/json');
+    if (content === null) {
+      res.statusCode = 404;
+      return res.end(JSON.stringify({ error: 'No stub reply for this prompt' }));
+    }
+    res.end(JSON.stringify({
+      id: 'synthetic',
+      object: 'chat.completion',
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content }, finish_reason: 'stop' }]
+    }));
+  });
+});
+
+server.listen(PORT, '127.0.0.1', () => console.log(`LLM stub listening on http://127.0.0.1:${PORT}`));
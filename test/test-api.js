@@ -98,6 +98,24 @@ const testCases = [
     },
     expectError: true,
     expectedStatus: 400
+  },
+  {
+    name: 'Unknown category',
+    input: {
+      version: '1.0',
+      source: {
+        kind: 'textarea',
+        pageUrl: 'https://example.com',
+        language: 'id-ID'
+      },
+      text: 'Saya mau ijin untuk pergi.',
+      options: {
+        categories: ['typo', 'gaya'],
+        maxSuggestions: 500
+      }
+    },
+    expectError: true,
+    expectedStatus: 400
   }
 ];
 
@@ -239,6 +257,18 @@ class APITester {
         console.log(`   ⚠️  Offset mismatch: expected "${suggestion.before}", got "${actualText}"`);
         return false;
       }
+
+      // Check every server-side occurrence
+      if (!Array.isArray(suggestion.occurrences) || suggestion.occurrences.length === 0) {
+        return false;
+      }
+      for (const occ of suggestion.occurrences) {
+        const occText = originalText.slice(occ.start, occ.end);
+        if (occText !== suggestion.before) {
+          console.log(`   ⚠️  Occurrence mismatch: expected "${suggestion.before}", got "${occText}"`);
+          return false;
+        }
+      }
     }
     
     return true;
@@ -345,7 +375,8 @@ async function rateLimitTest() {
           text: testText,
           options: {
             categories: ['typo', 'eyd', 'konteks'],
-            maxSuggestions: 500
+            maxSuggestions: 500,
+            bypassCache: true // cache hit tidak memakai slot rate limit
           }
         })
       })
@@ -367,11 +398,58 @@ async function rateLimitTest() {
       console.log('⚠️  Rate limiting may not be working properly');
     }
     
+    const limitedResponse = responses.find(r => r.status === 429);
+    const hasHeaders = responses.every(r => r.headers.has('x-ratelimit-limit') && r.headers.has('x-ratelimit-remaining') && r.headers.has('x-ratelimit-reset'));
+    if (hasHeaders && (!limitedResponse || limitedResponse.headers.has('retry-after'))) {
+      console.log('✅ Rate limit headers present');
+    } else {
+      console.log('❌ Rate limit headers missing');
+    }
+    
   } catch (error) {
     console.log(`❌ Rate limit test failed: ${error.message}`);
   }
 }
 
+// Streaming (SSE) test
+async function streamingTest() {
+  console.log('\n📡 Streaming Test');
+  console.log('=================');
+  
+  try {
+    const response = await fetch(`${API_URL}?stream=1`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream'
+      },
+      body: JSON.stringify({
+        version: '1.0',
+        text: 'Sya mau ijin untuk pergi ke pasar.',
+        options: {
+          bypassCache: true
+        }
+      })
+    });
+    
+    const body = await response.text();
+    const events = body.split('\n\n')
+      .map(block => block.match(/^event: (.+)$/m)?.[1])
+      .filter(Boolean);
+    const suggestionEvents = events.filter(e => e === 'suggestion').length;
+    
+    console.log(`Events received: ${events.join(', ')}`);
+    if (events[0] === 'start' && events[events.length - 1] === 'meta') {
+      console.log(`✅ Stream completed with ${suggestionEvents} suggestion events`);
+    } else {
+      console.log('❌ Stream did not start with "start" and end with "meta"');
+    }
+    
+  } catch (error) {
+    console.log(`❌ Streaming test failed: ${error.message}`);
+  }
+}
+
 // Main execution
 async function main() {
   const tester = new APITester();
@@ -379,6 +457,7 @@ async function main() {
   try {
     await tester.runAllTests();
     await performanceTest();
+    await streamingTest();
     await rateLimitTest();
   } catch (error) {
     console.error('Test execution failed:', error);
@@ -391,4 +470,4 @@ if (import.meta.url === `file://${process.argv[1]}`) {
   main();
 }
 
-export { APITester, performanceTest, rateLimitTest };
\ No newline at end of file
+export { APITester, performanceTest, streamingTest, rateLimitTest };
\ No newline at end of file
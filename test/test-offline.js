@@ -0,0 +1,486 @@
+// Test offline untuk /api/check, /api/apply dan fungsi murni terkait (apply & markup) (tanpa jaringan, hasil deterministik)
+// Respons LLM diambil dari fixture di test/fixtures/llm-synthetic (LLM_FIXTURE_MODE=replay).
+// Fixture ini sintetis: balasannya ditulis tangan di test/llm-stub-server.js (termasuk balasan
+// rusak yang sengaja diuji), bukan hasil rekaman LLM sungguhan. Untuk mengubahnya, edit stub lalu:
+//   node test/llm-stub-server.js
+//   LLM_FIXTURE_MODE=record NVIDIA_BASE_URL=http://127.0.0.1:8787 NVIDIA_API_KEY=stub node test/test-offline.js
+
+import { fileURLToPath } from 'url';
+
+process.env.LLM_FIXTURE_MODE = process.env.LLM_FIXTURE_MODE || 'replay';
+process.env.LLM_FIXTURE_DIR = process.env.LLM_FIXTURE_DIR || fileURLToPath(new URL('./fixtures/llm-synthetic', import.meta.url));
+// Merekam dari LLM sungguhan akan menimpa edge case sintetis
+if (process.env.LLM_FIXTURE_MODE === 'record' && !/^http:\/\/(127\.0\.0\.1|localhost)[:/]/.test(process.env.NVIDIA_BASE_URL || '')) {
+  console.error('Record mode hanya untuk test/llm-stub-server.js (set NVIDIA_BASE_URL ke stub lokal)');
+  process.exit(1);
+}
+process.env.LOG_LEVEL = process.env.LOG_LEVEL || 'error';
+process.env.RATE_LIMITS = JSON.stringify({ check: { anonymous: { maxRequests: 1000 } }, batch: { anonymous: { maxRequests: 3 } } });
+// Cache & rate limit memakai fallback in-memory
+delete process.env.KV_REST_API_URL;
+delete process.env.KV_REST_API_TOKEN;
+
+const { default: handler } = await import('../api/check.js');
+const { default: applyHandler } = await import('../api/apply.js');
+const { default: batchHandler } = await import('../api/batch.js');
+const { consumeRateLimit, resolveRateLimit } = await import('../lib/rate-limit.js');
+const { applySuggestions, mapResponseToSource } = await import('../lib/check-pipeline.js');
+const { createTextFingerprint } = await import('../lib/fingerprint.js');
+const { extractReadableText, mapToSource, applyChangesToSource } = await import('../lib/markup.js');
+
+const baseInput = {
+  version: '1.0',
+  source: {
+    kind: 'textarea',
+    pageUrl: 'https://example.com',
+    language: 'id-ID'
+  },
+  options: {
+    categories: ['typo', 'eyd', 'konteks'],
+    maxSuggestions: 500,
+    bypassCache: true
+  }
+};
+
+// Test cases: jumlah & isi suggestion pasti karena respons LLM berasal dari fixture
+const testCases = [
+  {
+    name: 'Context error',
+    text: 'Aku ingin makan dubur ayam yang enak sekali.',
+    expected: [['dubur', 'bubur', 'konteks']]
+  },
+  {
+    name: 'EYD errors',
+    text: 'Saya mau ijin untuk pergi ke resiko tinggi.',
+    expected: [['ijin', 'izin', 'eyd'], ['resiko', 'risiko', 'eyd']]
+  },
+  {
+    name: 'Clean Indonesian text',
+    text: 'Selamat pagi, semoga hari ini menyenangkan.',
+    expected: []
+  },
+  {
+    name: 'Fenced JSON, duplicates and guarded suggestions',
+    text: 'Sya mau mkn bersama masyarakat desa.',
+    expected: [['Sya', 'Saya', 'typo'], ['mkn', 'makan', 'typo']],
+    expectedDrops: { no_op: 1, not_found: 1, not_whole_word: 1, invalid_category: 1 }
+  },
+  {
+    name: 'Strict retry after invalid JSON',
+    text: 'Kami sudah smpai di kantor.',
+    expected: [['smpai', 'sampai', 'typo']]
+  },
+  {
+    name: 'Single quotes and trailing commas',
+    text: 'Mereka sdh tiba di rumh.',
+    expected: [['sdh', 'sudah', 'typo'], ['rumh', 'rumah', 'typo']]
+  },
+  {
+    name: 'Truncated JSON recovers complete suggestions',
+    text: 'Dia pergi kepasar dan membli sayur segar.',
+    expected: [['kepasar', 'ke pasar', 'eyd'], ['membli', 'membeli', 'typo']],
+    expectedPartial: true
+  },
+  {
+    name: 'Unparseable reply after strict retry is not cached',
+    text: 'Laporan ini blm selesai dikerjakan.',
+    expected: [],
+    expectedSkippedReason: 'parse_error',
+    expectNotCached: true
+  },
+  {
+    name: 'Kompas rules run offline and protect photo credits',
+    text: 'Aktifitas warga tinggi. Foto: KOMPAS/IJIN RAHMAN. Ijin usaha dan analisa pasar dibahas.',
+    categories: ['typo', 'eyd', 'konteks', 'baku'],
+    // IJIN dan RAHMAN di kredit foto tidak dikoreksi; "analisa" dari LLM melebur ke saran rule
+    expected: [['Ijin', 'Izin', 'baku'], ['Aktifitas', 'Aktivitas', 'baku'], ['analisa', 'analisis', 'baku']],
+    expectedRuleSuggestions: 3,
+    expectedDrops: { protected_span: 2 }
+  }
+];
+
+// Test tanpa LLM (fungsi murni & /api/apply): run() mengembalikan daftar error
+const APPLY_TEXT = 'Sya mau mkn di https://contoh.com/mkn bersama warga.';
+const APPLY_SUGGESTIONS = [
+  { id: 'a', category: 'typo', before: 'Sya', after: 'Saya' },
+  { id: 'b', category: 'typo', before: 'mkn', after: 'makan' },
+  { id: 'c', category: 'typo', before: 'mau', after: 'mau' },
+  { id: 'd', category: 'typo', before: 'tdk', after: 'tidak' },
+  { id: 'e', category: 'typo', before: 'contoh.com', after: 'contoh.id' },
+  { id: 'f', category: 'typo', before: 'Sya mau', after: 'Saya ingin' }
+];
+const applyInput = {
+  version: '1.0',
+  text: APPLY_TEXT,
+  textFingerprint: createTextFingerprint(APPLY_TEXT),
+  suggestions: APPLY_SUGGESTIONS.slice(0, 2),
+  acceptedIds: ['b']
+};
+const HTML_SOURCE = '<p>Sya &amp; kawan <b>mk</b>n di <a href="/x">pasar</a>.</p><script>var sya=1</script><p>Harga &lt;naik&gt;</p>';
+const MARKDOWN_SOURCE = '# Judul sya\n\nIni **tebal** dan [tautan](https://x.com/sya) `kode sya`.\n\n```\nsya\n```\n- butir mkn';
+
+// Re-check incremental: 40 paragraf, dua di antaranya salah; teks yang sama ada di test/llm-stub-server.js
+const INCREMENTAL_PARAGRAPHS = [
+  'Mereka sdh tiba.',
+  'Dia membli sayur.',
+  ...Array.from({ length: 38 }, (_, i) => `Paragraf ${i + 3} sudah benar.`)
+];
+const incrementalInput = (paragraphs, previous) => ({
+  ...baseInput,
+  text: paragraphs.join('\n\n'),
+  options: { ...baseInput.options, bypassCache: false },
+  incremental: { previousParagraphFingerprints: previous.map(paragraph => createTextFingerprint(paragraph)) }
+});
+
+const unitTests = [
+  {
+    name: 'applySuggestions applies changes and reports skipped suggestions',
+    run() {
+      const errors = [];
+      const result = applySuggestions(APPLY_TEXT, APPLY_SUGGESTIONS);
+      expectEqual(errors, 'text', result.text, 'Saya mau makan di https://contoh.com/mkn bersama warga.');
+      expectEqual(errors, 'changes', result.changes.map(c => [c.suggestionId, c.start, c.end, c.newStart, c.newEnd]), [['a', 0, 3, 0, 4], ['b', 8, 11, 9, 14]]);
+      expectEqual(errors, 'skipped', result.skipped.map(s => [s.suggestionId, s.reason]), [['c', 'no_change'], ['d', 'not_found'], ['e', 'protected'], ['f', 'overlap']]);
+      return errors;
+    }
+  },
+  {
+    name: '/api/apply applies accepted suggestions only',
+    async run() {
+      const errors = [];
+      const { status, body } = await callHandler(applyInput, applyHandler);
+      expectEqual(errors, 'status', status, 200);
+      expectEqual(errors, 'text', body?.text, 'Sya mau makan di https://contoh.com/mkn bersama warga.');
+      expectEqual(errors, 'textFingerprint', body?.textFingerprint, createTextFingerprint(body?.text || ''));
+      expectEqual(errors, 'changes', body?.changes?.map(c => c.suggestionId), ['b']);
+      return errors;
+    }
+  },
+  {
+    name: '/api/apply rejects a stale textFingerprint with 409',
+    async run() {
+      const errors = [];
+      const { status } = await callHandler({ ...applyInput, textFingerprint: createTextFingerprint('Teks lain.') }, applyHandler);
+      expectEqual(errors, 'status', status, 409);
+      return errors;
+    }
+  },
+  {
+    name: '/api/apply rejects duplicate suggestion ids with 400',
+    async run() {
+      const errors = [];
+      const suggestions = [APPLY_SUGGESTIONS[0], { ...APPLY_SUGGESTIONS[1], id: 'a' }];
+      const { status, body } = await callHandler({ ...applyInput, suggestions, acceptedIds: 'all' }, applyHandler);
+      expectEqual(errors, 'status', status, 400);
+      expectEqual(errors, 'message', body?.message, 'Duplicate suggestion id: a');
+      return errors;
+    }
+  },
+  {
+    name: 'Incremental check sends changed paragraphs in one LLM call and charges one slot',
+    async run() {
+      const errors = [];
+      const ip = '10.0.9.1';
+      const first = await callHandler(incrementalInput(INCREMENTAL_PARAGRAPHS, []), handler, { ip });
+      expectEqual(errors, 'first status', first.status, 200);
+      expectEqual(errors, 'first suggestions', first.body?.suggestions.map(s => [s.before, s.after]), [['sdh', 'sudah'], ['membli', 'membeli']]);
+      expectEqual(errors, 'first incremental', first.body?.meta.incremental, { paragraphs: 40, rechecked: 40, reused: 0, failed: 0 });
+      expectEqual(errors, 'first chunks', first.body?.meta.chunks.total, 1);
+      expectEqual(errors, 'first slots used', 1000 - Number(first.headers['x-ratelimit-remaining']), 1);
+      
+      // Hanya paragraf kedua yang berubah; paragraf lain dipakai ulang dari cache per paragraf
+      const edited = [INCREMENTAL_PARAGRAPHS[0], 'Dia membeli sayur.', ...INCREMENTAL_PARAGRAPHS.slice(2)];
+      const second = await callHandler(incrementalInput(edited, INCREMENTAL_PARAGRAPHS), handler, { ip });
+      expectEqual(errors, 'second suggestions', second.body?.suggestions.map(s => [s.before, s.after]), [['sdh', 'sudah']]);
+      expectEqual(errors, 'second incremental', second.body?.meta.incremental, { paragraphs: 40, rechecked: 1, reused: 39, failed: 0 });
+      expectEqual(errors, 'second slots used', 1000 - Number(second.headers['x-ratelimit-remaining']), 2);
+      for (const suggestion of second.body?.suggestions || []) {
+        for (const occ of suggestion.occurrences) {
+          expectEqual(errors, 'occurrence', edited.join('\n\n').slice(occ.start, occ.end), suggestion.before);
+        }
+      }
+      
+      const third = await callHandler(incrementalInput(edited, edited), handler, { ip });
+      expectEqual(errors, 'third skippedReason', third.body?.meta.skippedReason, 'unchanged');
+      expectEqual(errors, 'third slots used', 1000 - Number(third.headers['x-ratelimit-remaining']), 2);
+      return errors;
+    }
+  },
+  {
+    name: 'Incremental check rejects too many paragraphs',
+    async run() {
+      const errors = [];
+      const paragraphs = Array.from({ length: 501 }, (_, i) => `P${i}`);
+      const { status, body } = await callHandler(incrementalInput(paragraphs, []), handler, { ip: '10.0.9.2' });
+      expectEqual(errors, 'status', status, 400);
+      expectEqual(errors, 'message', body?.message, 'Too many paragraphs for incremental check. Maximum 500 paragraphs');
+      return errors;
+    }
+  },
+  {
+    name: '/api/batch reports invalid items per index and charges only uncached items',
+    async run() {
+      const errors = [];
+      const ip = '10.0.20.1';
+      // Teks pertama sudah ada di cache teks penuh, teks kedua belum
+      await callHandler({ ...baseInput, text: 'Aku ingin makan dubur ayam yang enak sekali.', options: { ...baseInput.options, bypassCache: false } }, handler, { ip });
+      const { status, body, headers } = await callHandler({
+        version: '1.0',
+        options: { ...baseInput.options, bypassCache: false },
+        items: [
+          { id: 'a', text: 'Aku ingin makan dubur ayam yang enak sekali.' },
+          null,
+          { id: 'a', text: 'Teks dengan id ganda.' },
+          { text: 'Teks tanpa id.' },
+          { id: 'b', text: '' },
+          { id: 'c', text: 'Dia membeli sayur.' }
+        ]
+      }, batchHandler, { ip });
+      expectEqual(errors, 'status', status, 200);
+      expectEqual(errors, 'results', body?.results.map(r => [r.index, r.id, r.status]), [[0, 'a', 200], [1, null, 400], [2, 'a', 400], [3, null, 400], [4, 'b', 400], [5, 'c', 200]]);
+      expectEqual(errors, 'duplicate id', body?.results[2].error.message, 'Duplicate item id: a');
+      expectEqual(errors, 'cached suggestions', body?.results[0].suggestions.map(s => s.before), ['dubur']);
+      expectEqual(errors, 'meta', body?.meta, { items: 6, succeeded: 2, failed: 4, cacheHits: 1 });
+      expectEqual(errors, 'slots used', headers['x-ratelimit-remaining'], '2');
+      return errors;
+    }
+  },
+  {
+    name: '/api/batch rejects batches larger than the client limit with 400',
+    async run() {
+      const errors = [];
+      const items = ['satu', 'dua', 'tiga', 'empat'].map(id => ({ id, text: `Teks ${id}.` }));
+      const { status, body, headers } = await callHandler({ version: '1.0', options: baseInput.options, items }, batchHandler, { ip: '10.0.20.2' });
+      expectEqual(errors, 'status', status, 400);
+      expectEqual(errors, 'maxLlmCalls', body?.maxLlmCalls, 3);
+      expectEqual(errors, 'remaining', headers['x-ratelimit-remaining'], '3');
+      return errors;
+    }
+  },
+  {
+    name: '/api/batch 429 waits until enough slots are free for the whole batch',
+    async run() {
+      const errors = [];
+      const ip = '10.0.20.3';
+      const limit = resolveRateLimit('batch', 'anonymous');
+      await consumeRateLimit('batch', ip, limit);
+      await new Promise(resolve => setTimeout(resolve, 2000));
+      await consumeRateLimit('batch', ip, limit);
+      // 3 slot dibutuhkan: kedua entri lama harus keluar dari window, bukan hanya yang tertua
+      const items = ['satu', 'dua', 'tiga'].map(id => ({ id, text: `Teks ${id}.` }));
+      const { status, headers } = await callHandler({ version: '1.0', options: baseInput.options, items }, batchHandler, { ip });
+      expectEqual(errors, 'status', status, 429);
+      expectEqual(errors, 'Retry-After', headers['retry-after'], '60');
+      return errors;
+    }
+  },
+  {
+    name: 'Rate-limit headers are sent on preflight, 401 and 405 without using a slot',
+    async run() {
+      const errors = [];
+      const ip = '10.0.14.1';
+      const responses = {
+        preflight: await callHandler(null, handler, { ip, method: 'OPTIONS', headers: { origin: 'http://localhost:3000' } }),
+        unauthorized: await callHandler({ ...baseInput, text: 'Teks.' }, handler, { ip, headers: { 'x-api-key': 'pk_tidak_valid' } }),
+        methodNotAllowed: await callHandler(null, handler, { ip, method: 'GET' })
+      };
+      for (const [name, { status, headers }] of Object.entries(responses)) {
+        expectEqual(errors, `${name} status`, status, { preflight: 204, unauthorized: 401, methodNotAllowed: 405 }[name]);
+        expectEqual(errors, `${name} headers`, [headers['x-ratelimit-limit'], headers['x-ratelimit-remaining']], ['1000', '1000']);
+        if (!/^\d+$/.test(headers['x-ratelimit-reset'] || '')) {
+          errors.push(`${name} X-RateLimit-Reset ${headers['x-ratelimit-reset']}`);
+        }
+      }
+      return errors;
+    }
+  },
+  {
+    name: 'extractReadableText drops tags, scripts and markdown syntax',
+    run() {
+      const errors = [];
+      expectEqual(errors, 'html', extractReadableText(HTML_SOURCE, 'html').text, 'Sya & kawan mkn di pasar.\n\nHarga <naik>\n\n');
+      expectEqual(errors, 'markdown', extractReadableText(MARKDOWN_SOURCE, 'markdown').text, 'Judul sya\n\nIni tebal dan tautan .\n\n\n\n\nbutir mkn');
+      expectEqual(errors, 'text', extractReadableText('a <b>c</b>', 'text'), { format: 'text', text: 'a <b>c</b>', starts: null, ends: null });
+      return errors;
+    }
+  },
+  {
+    name: 'mapToSource maps extracted offsets back to markup',
+    run() {
+      const errors = [];
+      const html = extractReadableText(HTML_SOURCE, 'html');
+      const start = html.text.indexOf('kawan');
+      const mapped = mapToSource({ start, end: start + 5, occurrences: [{ start: 4, end: 5 }] }, html);
+      expectEqual(errors, 'html range', HTML_SOURCE.slice(mapped.start, mapped.end), 'kawan');
+      expectEqual(errors, 'html entity', HTML_SOURCE.slice(mapped.occurrences[0].start, mapped.occurrences[0].end), '&amp;');
+      const markdown = extractReadableText(MARKDOWN_SOURCE, 'markdown');
+      const mdStart = markdown.text.indexOf('tebal');
+      const mdMapped = mapToSource({ start: mdStart, end: mdStart + 5 }, markdown);
+      expectEqual(errors, 'markdown range', MARKDOWN_SOURCE.slice(mdMapped.start, mdMapped.end), 'tebal');
+      const linkText = '<p>Lihat <b>https://contoh.com</b> ya</p>';
+      const link = extractReadableText(linkText, 'html');
+      const urlStart = link.text.indexOf('https://');
+      const response = mapResponseToSource({ suggestions: [], meta: { protectedSpans: [{ type: 'url', start: urlStart, end: urlStart + 18 }] } }, link);
+      expectEqual(errors, 'protected span', response.meta.protectedSpans.map(span => [span.type, linkText.slice(span.start, span.end)]), [['url', 'https://contoh.com']]);
+      const item = { start: 5, end: 8 };
+      expectEqual(errors, 'text', mapToSource(item, extractReadableText('abc defgh', 'text')) === item, true);
+      return errors;
+    }
+  },
+  {
+    name: 'applyChangesToSource escapes HTML and skips edits across tags',
+    run() {
+      const errors = [];
+      const extraction = extractReadableText(HTML_SOURCE, 'html');
+      const { changes } = applySuggestions(extraction.text, [
+        { id: 'a', category: 'typo', before: 'Sya', after: 'Saya' },
+        { id: 'b', category: 'typo', before: 'mkn', after: 'makan' },
+        { id: 'c', category: 'typo', before: 'kawan', after: 'teman & <kawan>' }
+      ]);
+      const result = applyChangesToSource(HTML_SOURCE, changes, extraction);
+      expectEqual(errors, 'text', result.text, HTML_SOURCE.replace('Sya', 'Saya').replace('kawan', 'teman &amp; &lt;kawan&gt;'));
+      expectEqual(errors, 'changes', result.changes.map(c => [c.suggestionId, c.before, c.after]), [['a', 'Sya', 'Saya'], ['c', 'kawan', 'teman &amp; &lt;kawan&gt;']]);
+      expectEqual(errors, 'skipped', result.skipped, [{ suggestionId: 'b', reason: 'markup', start: 22, end: 29 }]);
+      return errors;
+    }
+  }
+];
+
+class OfflineTester {
+  constructor() {
+    this.passed = 0;
+    this.failed = 0;
+  }
+  
+  async runAllTests() {
+    console.log('🧪 Periksa Kata Offline Tests');
+    console.log(`Fixture mode: ${process.env.LLM_FIXTURE_MODE}\n`);
+    
+    for (const testCase of testCases) {
+      await this.runTest(testCase);
+    }
+    for (const unitTest of unitTests) {
+      await this.runUnitTest(unitTest);
+    }
+    
+    this.printSummary();
+  }
+  
+  async runTest(testCase) {
+    console.log(`📝 ${testCase.name}`);
+    try {
+      const options = { ...baseInput.options, ...(testCase.categories && { categories: testCase.categories }) };
+      const { status, body } = await callHandler({ ...baseInput, text: testCase.text, options });
+      const errors = [];
+      
+      if (status !== 200) {
+        errors.push(`status ${status}: ${JSON.stringify(body)}`);
+      } else {
+        const actual = body.suggestions.map(s => [s.before, s.after, s.category]);
+        if (JSON.stringify(actual) !== JSON.stringify(testCase.expected)) {
+          errors.push(`suggestions ${JSON.stringify(actual)}, expected ${JSON.stringify(testCase.expected)}`);
+        }
+        for (const suggestion of body.suggestions) {
+          for (const occ of suggestion.occurrences) {
+            if (testCase.text.slice(occ.start, occ.end) !== suggestion.before) {
+              errors.push(`occurrence ${occ.start}-${occ.end} does not match "${suggestion.before}"`);
+            }
+          }
+        }
+        if (body.meta.partial !== Boolean(testCase.expectedPartial)) {
+          errors.push(`meta.partial ${body.meta.partial}, expected ${Boolean(testCase.expectedPartial)}`);
+        }
+        if (testCase.expectedSkippedReason) {
+          if (body.meta.llmCalled || body.meta.skippedReason !== testCase.expectedSkippedReason) {
+            errors.push(`skippedReason ${body.meta.skippedReason}, expected ${testCase.expectedSkippedReason}`);
+          }
+        } else if (!body.meta.llmCalled) {
+          errors.push(`LLM not called (skippedReason: ${body.meta.skippedReason})`);
+        }
+        if (testCase.expectNotCached) {
+          // Panggilan kedua tanpa bypassCache tidak boleh mendapat hasil gagal dari cache
+          const again = await callHandler({ ...baseInput, text: testCase.text, options: { ...options, bypassCache: false } });
+          if (again.body.meta?.cacheHit) {
+            errors.push('failed result was served from cache');
+          }
+        }
+        if (testCase.expectedRuleSuggestions !== undefined && body.meta.ruleSuggestionsCount !== testCase.expectedRuleSuggestions) {
+          errors.push(`ruleSuggestionsCount ${body.meta.ruleSuggestionsCount}, expected ${testCase.expectedRuleSuggestions}`);
+        }
+        const drops = body.meta.droppedSuggestions.reasons;
+        if (testCase.expectedDrops && JSON.stringify(sortKeys(drops)) !== JSON.stringify(sortKeys(testCase.expectedDrops))) {
+          errors.push(`dropped ${JSON.stringify(drops)}, expected ${JSON.stringify(testCase.expectedDrops)}`);
+        }
+      }
+      
+      this.report(errors);
+    } catch (error) {
+      console.log(`   ❌ Test failed: ${error.message}\n`);
+      this.failed++;
+    }
+  }
+  
+  async runUnitTest(unitTest) {
+    console.log(`📝 ${unitTest.name}`);
+    try {
+      this.report(await unitTest.run());
+    } catch (error) {
+      console.log(`   ❌ Test failed: ${error.message}\n`);
+      this.failed++;
+    }
+  }
+  
+  report(errors) {
+    if (errors.length === 0) {
+      console.log('   ✅ Test passed\n');
+      this.passed++;
+    } else {
+      errors.forEach(error => console.log(`   ❌ ${error}`));
+      console.log('');
+      this.failed++;
+    }
+  }
+  
+  printSummary() {
+    console.log('📊 Test Summary');
+    console.log('================');
+    console.log(`Total tests: ${testCases.length + unitTests.length}`);
+    console.log(`Passed: ${this.passed} ✅`);
+    console.log(`Failed: ${this.failed} ❌`);
+    process.exit(this.failed === 0 ? 0 : 1);
+  }
+}
+
+// Panggil handler langsung dengan req/res minimal ala Vercel
+async function callHandler(body, target = handler, { method = 'POST', headers = {}, ip = '127.0.0.1' } = {}) {
+  const res = {
+    statusCode: 200,
+    body: null,
+    headers: {},
+    setHeader(name, value) { this.headers[name.toLowerCase()] = value; },
+    status(code) { this.statusCode = code; return this; },
+    json(data) { this.body = data; return this; },
+    end() { return this; }
+  };
+  const req = {
+    method,
+    headers: { 'content-type': 'application/json', ...headers },
+    query: {},
+    connection: { remoteAddress: ip },
+    body
+  };
+  await target(req, res);
+  return { status: res.statusCode, body: res.body, headers: res.headers };
+}
+
+function expectEqual(errors, label, actual, expected) {
+  if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+    errors.push(`${label} ${JSON.stringify(actual)}, expected ${JSON.stringify(expected)}`);
+  }
+}
+
+function sortKeys(object) {
+  return Object.fromEntries(Object.entries(object).sort(([a], [b]) => a.localeCompare(b)));
+}
+
+new OfflineTester().runAllTests();